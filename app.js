@@ -29,20 +29,80 @@ import {
   initDB,
   storeFile,
   getFilesForSite,
+  getManifest,
+  guessContentType,
+  getSiteStats,
   deleteFilesForSite,
   copyFilesToSite,
   computeContentHash,
+  computeManifestHash,
+  getSiteMeta,
+  getAllSiteMeta,
+  updateSiteMeta,
+  deleteSiteMeta,
+  onDatabaseVersionChange,
+  createSnapshot,
+  getSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+  pruneSnapshots,
+  getVaultStatus,
+  getVaultKey,
+  enableVault,
+  unlockVault,
+  lockVault,
+  disableVault,
+  isVaultLockedError,
+  getTransferHistory,
   formatBytes
 } from './persistence.js';
 
 import {
+  EVICTION_POLICIES,
+  getStorageEstimate,
+  requestPersistentStorage,
+  checkSpaceFor,
+  planEviction,
+  evictSite,
+  findOrphanedSites,
+  collectGarbage,
+  isQuotaError
+} from './storage.js';
+
+import { getSettings, getSetting, updateSettings } from './settings.js';
+
+import { checkIntegrity, repairSite } from './integrity.js';
+
+import { getImportStats, getPeerTransferStats, onStatsChange, onTransferRecorded } from './stats.js';
+
+import {
+  SHARING_POLICIES,
+  JOB_STATUSES,
+  JOB_PRIORITIES,
   initTransfer,
-  importSiteFromPeer,
+  enqueueImport,
+  getTransferJobs,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  setJobPriority,
+  clearFinishedJobs,
+  onJobsChange,
+  onJobProgress,
+  getPeerProtocol,
+  onPeerProtocolChange,
   getConnectedPeers,
-  isConnectedToPeer,
-  onTransferProgress
+  findImportSources,
+  onTransferProgress,
+  onImportComplete,
+  onAccessRequest,
+  discardImport
 } from './transfer.js';
 
+// Expose the integrity checker for scripting from the console
+window.checkIntegrity = checkIntegrity;
+window.repairSite = repairSite;
+
 // DOM Elements
 const addSiteBtn = document.getElementById('add-site-btn');
 const addModal = document.getElementById('add-modal');
@@ -52,6 +112,7 @@ const cancelAdd = document.getElementById('cancel-add');
 const mySitesGrid = document.getElementById('my-sites-grid');
 const emptyState = document.getElementById('empty-state');
 const syncStatus = document.getElementById('sync-status');
+const storageStatus = document.getElementById('storage-status');
 const siteCardTemplate = document.getElementById('site-card-template');
 
 // Peers section elements
@@ -76,6 +137,31 @@ const importOwner = document.getElementById('import-owner');
 const importProgress = document.getElementById('import-progress');
 const importProgressFill = document.getElementById('import-progress-fill');
 const importProgressText = document.getElementById('import-progress-text');
+const importStats = document.getElementById('import-stats');
+
+// Peer details modal elements
+const peerModal = document.getElementById('peer-modal');
+const peerClose = document.getElementById('peer-close');
+const peerName = document.getElementById('peer-name');
+const peerProtocolInfo = document.getElementById('peer-protocol-info');
+const peerSent = document.getElementById('peer-sent');
+const peerReceived = document.getElementById('peer-received');
+const peerHistory = document.getElementById('peer-history');
+const peerHistoryEmpty = document.getElementById('peer-history-empty');
+const historyRowTemplate = document.getElementById('history-row-template');
+
+// Transfer tray elements
+const transfersBtn = document.getElementById('transfers-btn');
+const transferTray = document.getElementById('transfer-tray');
+const transfersClear = document.getElementById('transfers-clear');
+const transfersClose = document.getElementById('transfers-close');
+const transfersEmpty = document.getElementById('transfers-empty');
+const transferList = document.getElementById('transfer-list');
+const transferJobTemplate = document.getElementById('transfer-job-template');
+
+// Access request prompts
+const accessRequests = document.getElementById('access-requests');
+const accessRequestTemplate = document.getElementById('access-request-template');
 
 // Add modal elements
 const dropZone = document.getElementById('drop-zone');
@@ -97,13 +183,73 @@ const detailCache = document.getElementById('detail-cache');
 const detailBrowse = document.getElementById('detail-browse');
 const detailDownload = document.getElementById('detail-download');
 const detailRemove = document.getElementById('detail-remove');
+const detailPin = document.getElementById('detail-pin');
+const detailUpdate = document.getElementById('detail-update');
+const detailSharingPolicy = document.getElementById('detail-sharing-policy');
+const detailAllowlistGroup = document.getElementById('detail-allowlist-group');
+const detailAllowlist = document.getElementById('detail-allowlist');
 const cacheProgress = document.getElementById('cache-progress');
 const progressFill = document.getElementById('progress-fill');
 const progressText = document.getElementById('progress-text');
+const detailVersions = document.getElementById('detail-versions');
+const detailVersionsList = document.getElementById('detail-versions-list');
+const detailPrune = document.getElementById('detail-prune');
+const versionRowTemplate = document.getElementById('version-row-template');
+
+// Settings modal elements
+const settingsBtn = document.getElementById('settings-btn');
+const settingsModal = document.getElementById('settings-modal');
+const settingsForm = document.getElementById('settings-form');
+const settingsClose = document.getElementById('settings-close');
+const settingsCancel = document.getElementById('settings-cancel');
+const settingsStorage = document.getElementById('settings-storage');
+const settingEviction = document.getElementById('setting-eviction');
+const settingConcurrency = document.getElementById('setting-concurrency');
+const settingAdaptiveConcurrency = document.getElementById('setting-adaptive-concurrency');
+const settingUploadLimit = document.getElementById('setting-upload-limit');
+const settingPeerUploadLimit = document.getElementById('setting-peer-upload-limit');
+const settingDownloadLimit = document.getElementById('setting-download-limit');
+const settingPeerDownloadLimit = document.getElementById('setting-peer-download-limit');
+const settingMaxServed = document.getElementById('setting-max-served');
+const settingsOrphans = document.getElementById('settings-orphans');
+const settingsOrphansRemove = document.getElementById('settings-orphans-remove');
+const settingAutoGc = document.getElementById('setting-auto-gc');
+const settingsVault = document.getElementById('settings-vault');
+const settingsIntegrity = document.getElementById('settings-integrity');
+const settingsIntegrityCheck = document.getElementById('settings-integrity-check');
+const settingsIntegrityList = document.getElementById('settings-integrity-list');
+const integrityRowTemplate = document.getElementById('integrity-row-template');
+const settingsVaultEnable = document.getElementById('settings-vault-enable');
+const settingsVaultLock = document.getElementById('settings-vault-lock');
+const settingsVaultDisable = document.getElementById('settings-vault-disable');
+
+// Vault modal elements
+const vaultBtn = document.getElementById('vault-btn');
+const vaultModal = document.getElementById('vault-modal');
+const vaultForm = document.getElementById('vault-form');
+const vaultTitle = document.getElementById('vault-title');
+const vaultHint = document.getElementById('vault-hint');
+const vaultPassphrase = document.getElementById('vault-passphrase');
+const vaultConfirmGroup = document.getElementById('vault-confirm-group');
+const vaultConfirm = document.getElementById('vault-confirm');
+const vaultError = document.getElementById('vault-error');
+const vaultSubmit = document.getElementById('vault-submit');
+const vaultClose = document.getElementById('vault-close');
+const vaultCancel = document.getElementById('vault-cancel');
 
 let currentSiteId = null;
 let pendingFiles = [];
 let currentImportSite = null;
+let currentPeerId = null;
+const completingImports = new Map();
+let vaultMode = 'unlock';
+
+// Jobs shown in the transfer tray, by site ID
+const trayJobs = new Map();
+
+// The open peer's most recent finished transfers, newest first
+const PEER_HISTORY_LIMIT = 50;
+let peerHistoryEntries = [];
 
 /**
  * Initialize the application
@@ -112,7 +258,7 @@ async function init() {
   // Register service worker
   if ('serviceWorker' in navigator) {
     try {
-      await navigator.serviceWorker.register('/sw.js');
+      await navigator.serviceWorker.register('/sw.js', { type: 'module' });
       console.log('Service worker registered');
     } catch (err) {
       console.warn('Service worker registration failed:', err);
@@ -121,10 +267,23 @@ async function init() {
 
   // Initialize stores
   await initDB();
+  onDatabaseVersionChange(handleDatabaseUpgrade);
   await initCatalog();
 
+  // The service worker asks for the vault key after it has been restarted
+  navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+
+  // Ask the browser not to clear our sites under storage pressure
+  requestPersistentStorage().catch(err => console.warn('Persistent storage request failed:', err));
+
   // Initialize file transfer system (uses Ledger's existing connections)
   initTransfer();
+  onImportComplete(handleImportComplete);
+  onAccessRequest(handleAccessRequest);
+  onJobsChange(handleJobsChange);
+  onJobProgress(handleJobProgress);
+  onStatsChange(handleStatsChange);
+  onTransferRecorded(handleTransferRecorded);
 
   // Set up event listeners
   setupEventListeners();
@@ -132,16 +291,55 @@ async function init() {
   // Subscribe to catalog changes
   onCatalogChange(renderCatalog);
 
-  // Subscribe to peer changes
+  // Subscribe to peer changes, and to what each peer's app speaks
   onPeerChange(renderPeers);
+  onPeerProtocolChange(() => renderPeers());
 
   // Initial render
   await renderCatalog();
   renderPeers();
+  await renderTransferTray();
+
+  // Ask for the vault passphrase once per session
+  updateVaultButton();
+  if (getVaultStatus().enabled) {
+    openVaultModal('unlock');
+  }
 
   // Update sync status periodically
   updateSyncStatus();
   setInterval(updateSyncStatus, 5000);
+
+  // Bring content hashes from older versions up to date without blocking startup
+  rehashSites().catch(err => console.warn('Background rehash failed:', err));
+
+  // Clear out files left behind by failed imports
+  if (getSetting('autoCollectGarbage')) {
+    getQueuedSiteIds()
+      .then(exclude => collectGarbage({ exclude }))
+      .then(() => updateStorageStatus())
+      .catch(err => console.warn('Garbage collection failed:', err));
+  }
+}
+
+/**
+ * Recompute the content hash of every site I own and publish any that changed
+ */
+async function rehashSites() {
+  const mySites = await getMySites();
+  let updated = 0;
+
+  for (const site of mySites) {
+    const contentHash = await computeContentHash(site.id);
+    if (contentHash && contentHash !== site.content_hash) {
+      await updateSite(site.id, { content_hash: contentHash });
+      updated++;
+    }
+  }
+
+  if (updated > 0) {
+    console.log(`Rehashed ${updated} site${updated !== 1 ? 's' : ''}`);
+  }
 }
 
 /**
@@ -171,19 +369,55 @@ function setupEventListeners() {
   detailBrowse.addEventListener('click', handleBrowseSite);
   detailDownload.addEventListener('click', handleDownloadSite);
   detailRemove.addEventListener('click', handleRemoveSite);
+  detailPin.addEventListener('click', handlePinSite);
+  detailUpdate.addEventListener('click', handleUpdateFromPeer);
+  detailSharingPolicy.addEventListener('change', handleSharingChange);
+  detailAllowlist.addEventListener('change', handleSharingChange);
+  detailPrune.addEventListener('click', handlePruneVersions);
+
+  // Settings modal
+  settingsBtn.addEventListener('click', openSettingsModal);
+  settingsClose.addEventListener('click', closeSettingsModal);
+  settingsCancel.addEventListener('click', closeSettingsModal);
+  settingsModal.querySelector('.modal-backdrop').addEventListener('click', closeSettingsModal);
+  settingsForm.addEventListener('submit', handleSaveSettings);
+  settingsVaultEnable.addEventListener('click', () => openVaultModal('enable'));
+  settingsVaultLock.addEventListener('click', handleToggleVaultLock);
+  settingsVaultDisable.addEventListener('click', handleDisableVault);
+  settingsIntegrityCheck.addEventListener('click', handleCheckIntegrity);
+  settingsOrphansRemove.addEventListener('click', handleRemoveOrphans);
+
+  // Vault modal
+  vaultBtn.addEventListener('click', handleToggleVaultLock);
+  vaultClose.addEventListener('click', closeVaultModal);
+  vaultCancel.addEventListener('click', closeVaultModal);
+  vaultModal.querySelector('.modal-backdrop').addEventListener('click', closeVaultModal);
+  vaultForm.addEventListener('submit', handleVaultSubmit);
 
   // Import modal
   importClose.addEventListener('click', closeImportModal);
-  importCancel.addEventListener('click', closeImportModal);
+  importCancel.addEventListener('click', handleCancelImport);
   importModal.querySelector('.modal-backdrop').addEventListener('click', closeImportModal);
   // Note: importConfirm click handler is set dynamically in openImportModal
 
+  // Peer details modal
+  peerClose.addEventListener('click', closePeerModal);
+  peerModal.querySelector('.modal-backdrop').addEventListener('click', closePeerModal);
+
+  // Transfer tray
+  transfersBtn.addEventListener('click', () => transferTray.classList.toggle('hidden'));
+  transfersClose.addEventListener('click', () => transferTray.classList.add('hidden'));
+  transfersClear.addEventListener('click', clearFinishedJobs);
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
       closeAddModal();
       closeDetailModal();
       closeImportModal();
+      closePeerModal();
+      closeSettingsModal();
+      closeVaultModal();
     }
   });
 }
@@ -310,11 +544,12 @@ function setPendingFiles(files) {
 async function renderCatalog() {
   // Render my sites
   const mySites = await getMySites();
+  const metas = await getAllSiteMeta();
   emptyState.classList.toggle('hidden', mySites.length > 0);
   mySitesGrid.innerHTML = '';
 
   for (const site of mySites) {
-    const card = createSiteCard(site);
+    const card = createSiteCard(site, metas.get(site.id));
     mySitesGrid.appendChild(card);
   }
 
@@ -330,12 +565,14 @@ async function renderCatalog() {
     const card = createAvailableSiteCard(site);
     availableSitesGrid.appendChild(card);
   }
+
+  updateStorageStatus();
 }
 
 /**
  * Create a site card element (for my sites)
  */
-function createSiteCard(site) {
+function createSiteCard(site, meta = {}) {
   const template = siteCardTemplate.content.cloneNode(true);
   const card = template.querySelector('.site-card');
 
@@ -344,8 +581,11 @@ function createSiteCard(site) {
   card.querySelector('.site-url').textContent = site.description || '';
 
   const badge = card.querySelector('.cache-badge');
-  badge.textContent = 'Stored';
+  badge.textContent = meta.broken ? 'Broken' : meta.pinned ? 'Pinned' : 'Stored';
   badge.classList.add('cached');
+  badge.classList.toggle('pinned', !!meta.pinned);
+  badge.classList.toggle('broken', !!meta.broken);
+  if (meta.broken && meta.brokenReason) badge.title = meta.brokenReason;
 
   card.addEventListener('click', () => openDetailModal(site.id));
 
@@ -399,10 +639,94 @@ function renderPeers() {
     const card = template.querySelector('.peer-card');
     card.dataset.peerId = peerId;
     card.querySelector('.peer-id').textContent = peerId.slice(0, 8) + '...';
+
+    const protocol = getPeerProtocol(peerId);
+    const protocolLabel = card.querySelector('.peer-protocol');
+    if (protocol?.state === 'incompatible') {
+      card.classList.add('incompatible');
+      protocolLabel.textContent = 'Incompatible';
+      protocolLabel.title = protocol.reason;
+    } else if (protocol?.state === 'pending') {
+      protocolLabel.textContent = 'Connecting...';
+    }
+    card.addEventListener('click', () => openPeerModal(peerId));
     peersList.appendChild(card);
   }
 }
 
+/**
+ * Open the details of a connected peer: what it speaks, this session's
+ * transfers with it and its transfer history
+ */
+async function openPeerModal(peerId) {
+  currentPeerId = peerId;
+  peerName.textContent = `Peer ${peerId.slice(0, 8)}`;
+
+  const protocol = getPeerProtocol(peerId);
+  if (protocol?.state === 'ready') {
+    peerProtocolInfo.textContent = `Protocol v${protocol.version} (${protocol.capabilities.join(', ')})`;
+  } else if (protocol?.state === 'incompatible') {
+    peerProtocolInfo.textContent = `Incompatible: ${protocol.reason}`;
+  } else {
+    peerProtocolInfo.textContent = protocol ? 'Connecting...' : 'Not connected';
+  }
+
+  renderPeerStats();
+  peerHistoryEntries = [];
+  renderPeerHistory();
+  peerModal.classList.remove('hidden');
+
+  // Read the history once; transfers finishing from now on are added as they come
+  const entries = await getTransferHistory({ peerId, limit: PEER_HISTORY_LIMIT });
+  if (currentPeerId !== peerId) return;
+  addPeerHistory(entries);
+}
+
+/**
+ * Close the peer details modal
+ */
+function closePeerModal() {
+  peerModal.classList.add('hidden');
+  currentPeerId = null;
+}
+
+/**
+ * Show this session's totals and current rates with the open peer
+ */
+function renderPeerStats() {
+  const stats = getPeerTransferStats(currentPeerId);
+  peerSent.textContent = `Sent ${formatBytes(stats.sent)} (${formatRate(stats.sendRate)})`;
+  peerReceived.textContent = `Received ${formatBytes(stats.received)} (${formatRate(stats.receiveRate)})`;
+}
+
+/**
+ * Add entries to the open peer's cached history and show it
+ */
+function addPeerHistory(entries) {
+  const known = new Set(peerHistoryEntries.map(entry => entry.id));
+  peerHistoryEntries = [...peerHistoryEntries, ...entries.filter(entry => !known.has(entry.id))]
+    .sort((a, b) => b.id - a.id)
+    .slice(0, PEER_HISTORY_LIMIT);
+  renderPeerHistory();
+}
+
+/**
+ * List the open peer's most recent finished transfers
+ */
+function renderPeerHistory() {
+  peerHistoryEmpty.classList.toggle('hidden', peerHistoryEntries.length > 0);
+  peerHistory.innerHTML = '';
+  for (const entry of peerHistoryEntries) {
+    const row = historyRowTemplate.content.cloneNode(true);
+    row.querySelector('.history-path').textContent =
+      `${entry.direction === 'sent' ? 'Sent' : 'Received'} ${entry.path}`;
+    row.querySelector('.history-meta').textContent =
+      `${formatBytes(entry.bytes)} in ${formatDuration(entry.duration / 1000)} ` +
+      `at ${formatRate(entry.averageSpeed)} - ${formatDate(entry.finishedAt)}`;
+    peerHistory.appendChild(row);
+  }
+}
+
 /**
  * Open import modal for a peer's site
  */
@@ -413,6 +737,22 @@ async function openImportModal(site) {
   importDescription.textContent = site.description || 'No description';
   importFiles.textContent = site.file_count ? `${site.file_count} files (${formatBytes(site.file_size || 0)})` : 'Unknown size';
   importOwner.textContent = `Owner: ${site.owner_id?.slice(0, 8) || 'unknown'}`;
+  if (getPeerProtocol(site.owner_id)?.state === 'incompatible') {
+    importOwner.textContent += ' (runs an incompatible version)';
+  }
+  findImportSources(site).then(sources => {
+    if (currentImportSite !== site) return;
+    if (sources.length === 0) {
+      importOwner.textContent += ' (no connected peer has it, the import will wait for one)';
+    } else if (!sources.some(source => source.peerId === site.owner_id)) {
+      importOwner.textContent += ` (${sources.length} other peer${sources.length !== 1 ? 's' : ''} can send it)`;
+    } else if (sources.length > 1) {
+      importOwner.textContent += ` (${sources.length} peers can send it)`;
+    }
+  }).catch(err => {
+    console.warn('Failed to find import sources:', err);
+    if (currentImportSite === site) importOwner.textContent += ` (couldn't look for peers: ${err.message})`;
+  });
 
   importProgress.classList.add('hidden');
 
@@ -421,7 +761,7 @@ async function openImportModal(site) {
   if (existingSite) {
     importConfirm.textContent = 'Already Have It';
     importConfirm.onclick = () => {
-      window.open(`/local/${existingSite.id}/`, '_blank');
+      browseSite(existingSite.id);
       closeImportModal();
     };
   } else {
@@ -431,71 +771,339 @@ async function openImportModal(site) {
   importConfirm.disabled = false;
 
   importModal.classList.remove('hidden');
+  await renderImportJob();
 }
 
 /**
  * Close import modal
  */
 function closeImportModal() {
+  // A queued import keeps going; the transfer tray shows it
   importModal.classList.add('hidden');
   currentImportSite = null;
 }
 
 /**
- * Handle importing a site from a peer
+ * Handle the import modal's Cancel button: an import that has been
+ * queued is cancelled, not just hidden
+ */
+async function handleCancelImport() {
+  const site = currentImportSite;
+  const queued = !importProgress.classList.contains('hidden');
+  closeImportModal();
+  if (site && queued) await cancelJob(site.id);
+}
+
+/**
+ * Handle importing a site from a peer: the import joins the transfer
+ * queue, and the modal follows it while it stays open
  */
 async function handleImportSite() {
   if (!currentImportSite) return;
 
   const site = currentImportSite;
-  const ownerId = site.owner_id;
+  if (!(await ensureSpaceFor(site.file_size || 0))) return;
+
+  importConfirm.disabled = true;
+  try {
+    await enqueueImport(site);
+    transferTray.classList.remove('hidden');
+    await renderImportJob();
+  } catch (error) {
+    console.error('Error queueing import:', error);
+    alert(`Failed to import site: ${error.message}`);
+    importConfirm.disabled = false;
+  }
+}
+
+/**
+ * Show the progress of the import modal's site in the transfer queue.
+ * The modal closes once the import is done.
+ */
+async function renderImportJob() {
+  const site = currentImportSite;
+  if (!site) return;
 
-  // Check if peer is connected
-  if (!isConnectedToPeer(ownerId)) {
-    alert('Owner peer is not connected. Cannot transfer files.');
+  const job = (await getTransferJobs()).find(j => j.siteId === site.id);
+  if (currentImportSite !== site || !job) return;
+  showImportJob(job);
+}
+
+/**
+ * Show an import job's state in the import modal
+ */
+function showImportJob(job) {
+  if (job.status === 'done') {
+    if (!importProgress.classList.contains('hidden')) closeImportModal();
     return;
   }
 
-  importConfirm.disabled = true;
-  importConfirm.textContent = 'Importing...';
+  const { completed, total, path } = job.progress;
+  const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
   importProgress.classList.remove('hidden');
+  importProgressFill.style.width = `${percent}%`;
 
-  try {
-    // Import files from peer via WebRTC (stored under original site ID temporarily)
-    await importSiteFromPeer(ownerId, site.id, (completed, total, path) => {
-      const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
-      importProgressFill.style.width = `${percent}%`;
-      importProgressText.textContent = `${percent}% - ${path || 'Starting...'}`;
-    });
+  if (job.status === 'failed') {
+    importProgressText.textContent = `Failed: ${job.error}`;
+    importConfirm.textContent = 'Retry Import';
+    importConfirm.disabled = false;
+  } else {
+    importProgressText.textContent = `${percent}% - ${job.status === 'running' && path ? path : JOB_STATUSES[job.status]}`;
+    importConfirm.textContent = JOB_STATUSES[job.status];
+    importConfirm.disabled = true;
+  }
+  renderImportStats();
+}
+
+/**
+ * Show the running import's throughput and time left
+ */
+function renderImportStats() {
+  const stats = currentImportSite && getImportStats(currentImportSite.id);
+  importStats.classList.toggle('hidden', !stats);
+  if (!stats) return;
+
+  const left = stats.eta === null ? 'waiting for data' : `about ${formatDuration(stats.eta)} left`;
+  importStats.textContent = `${formatBytes(stats.receivedBytes)} of ${formatBytes(stats.totalBytes)} ` +
+    `at ${formatRate(stats.rate)}, ${left}`;
+}
+
+/**
+ * Take over the files of a finished import as a site of our own.
+ * Runs once per import, whether the user or a resumed transfer finished it.
+ */
+function completeImport(site) {
+  if (completingImports.has(site.id)) return completingImports.get(site.id);
+
+  const run = (async () => {
+    // The files together must match the catalog's digest before we adopt them
+    if (site.content_hash && (await computeContentHash(site.id)) !== site.content_hash) {
+      await deleteFilesForSite(site.id);
+      await discardImport(site.id);
+      throw new Error('the received files do not match the site\'s content hash');
+    }
 
     // Create our own copy of the site (new ID, our ownership)
     const { newSite } = await adoptSite(site.id);
+    await updateSiteMeta(newSite.id, { imported: true, originSiteId: site.id });
 
     // Copy files from original site ID to our new site ID
     await copyFilesToSite(site.id, newSite.id);
 
     // If original didn't have a content hash, compute it now
-    if (!newSite.content_hash) {
-      const contentHash = await computeContentHash(newSite.id);
+    let contentHash = newSite.content_hash;
+    if (!contentHash) {
+      contentHash = await computeContentHash(newSite.id);
       await updateSite(newSite.id, { content_hash: contentHash });
     }
+    await createSnapshot(newSite.id, { contentHash });
 
     // Clean up files under original ID (we have our own copy now)
     await deleteFilesForSite(site.id);
+    await discardImport(site.id);
+    return newSite;
+  })().finally(() => completingImports.delete(site.id));
 
-    closeImportModal();
-    await renderCatalog();
+  completingImports.set(site.id, run);
+  return run;
+}
+
+/**
+ * Get the peer's site an imported site came from, if it has changed since
+ * @returns {Promise<Object|null>} The origin's catalog row
+ */
+async function getUpdatableOrigin(site, meta) {
+  if (!meta.originSiteId) return null;
+  const origin = await getSite(meta.originSiteId);
+  if (!origin?.content_hash || origin.content_hash === site.content_hash) return null;
+  return origin;
+}
+
+/**
+ * Handle update from peer button click
+ */
+async function handleUpdateFromPeer() {
+  const siteId = currentSiteId;
+  const site = await getSite(siteId);
+  const origin = site && await getUpdatableOrigin(site, await getSiteMeta(siteId));
+  if (!origin) return;
+
+  // The update needs room for however much bigger the new version is
+  const { totalSize } = await getSiteStats(siteId);
+  const growth = Math.max(0, (origin.file_size || 0) - totalSize);
+  if (!(await ensureSpaceFor(growth, [siteId]))) return;
+
+  try {
+    await enqueueImport(origin, { updateSiteId: siteId });
+    transferTray.classList.remove('hidden');
   } catch (error) {
-    console.error('Error importing site:', error);
-    alert(`Failed to import site: ${error.message}`);
-  } finally {
-    importConfirm.disabled = false;
-    importConfirm.textContent = 'Import Site';
-    importProgress.classList.add('hidden');
-    importProgressFill.style.width = '0%';
+    console.error('Error queueing update:', error);
+    alert(`Failed to update site: ${error.message}`);
+  }
+}
+
+/**
+ * Apply a fetched update: changed files come from the origin's staging
+ * area, files the origin no longer has are deleted, then the catalog row
+ * and version history catch up
+ * @param {string} siteId - Our site
+ * @param {Object} origin - The peer's site the update came from
+ * @param {Array} files - The origin's full file list
+ */
+async function completeUpdate(siteId, origin, files) {
+  if ((await computeManifestHash(files)) !== origin.content_hash) {
+    await deleteFilesForSite(origin.id);
+    await discardImport(origin.id);
+    throw new Error('the peer\'s file list does not match the site\'s content hash');
+  }
+
+  // Keep the version we're replacing in history
+  const snapshots = await getSnapshots(siteId);
+  if (snapshots.length === 0) {
+    const site = await getSite(siteId);
+    await createSnapshot(siteId, { contentHash: site?.content_hash });
+  }
+
+  const remote = new Set(files.map(f => f.path));
+  const removed = (await getManifest(siteId)).map(f => f.path).filter(path => !remote.has(path));
+  await copyFilesToSite(origin.id, siteId, { remove: removed });
+
+  const manifest = await getManifest(siteId);
+  const contentHash = await computeContentHash(siteId);
+  await updateSite(siteId, {
+    file_count: manifest.length,
+    file_size: manifest.reduce((sum, f) => sum + (f.size || 0), 0),
+    content_hash: contentHash
+  });
+  await createSnapshot(siteId, { contentHash });
+
+  // Clean up the staged files under the origin's ID
+  await deleteFilesForSite(origin.id);
+  await discardImport(origin.id);
+}
+
+/**
+ * Adopt a site (or apply an update) once its import job has fetched
+ * every file. Throwing fails the job.
+ */
+async function handleImportComplete(siteId, result) {
+  const site = await getSite(siteId);
+  if (!site) throw new Error('Site not found');
+
+  if (result?.updateSiteId) {
+    await completeUpdate(result.updateSiteId, site, result.files);
+    if (currentSiteId === result.updateSiteId) await openDetailModal(result.updateSiteId);
+  } else {
+    await completeImport(site);
+  }
+  await renderCatalog();
+}
+
+/**
+ * Handle a change in the transfer queue
+ */
+async function handleJobsChange() {
+  await renderTransferTray();
+  await renderImportJob();
+}
+
+/**
+ * Handle progress of a running job: only its tray row and the import
+ * modal following it change
+ */
+function handleJobProgress(siteId, progress) {
+  const shown = trayJobs.get(siteId);
+  if (!shown) return;
+
+  const job = { ...shown, progress };
+  trayJobs.set(siteId, job);
+  transferList.querySelector(`[data-site-id="${CSS.escape(siteId)}"]`)?.replaceWith(createTransferRow(job));
+  if (currentImportSite?.id === siteId) showImportJob(job);
+}
+
+/**
+ * Handle new transfer stats: refresh the open import or peer details
+ */
+function handleStatsChange() {
+  if (currentImportSite) renderImportStats();
+  if (currentPeerId) renderPeerStats();
+}
+
+/**
+ * Handle a finished transfer: add it to the open peer's history
+ */
+function handleTransferRecorded(entry) {
+  if (entry.peerId === currentPeerId) addPeerHistory([entry]);
+}
+
+/**
+ * Render the transfer tray: every job in the queue, in the order they run
+ */
+async function renderTransferTray() {
+  const jobs = await getTransferJobs();
+  const unfinished = jobs.filter(job => job.status !== 'done').length;
+
+  transfersBtn.textContent = unfinished > 0 ? `Transfers (${unfinished})` : 'Transfers';
+  transfersEmpty.classList.toggle('hidden', jobs.length > 0);
+  transferList.innerHTML = '';
+  trayJobs.clear();
+  for (const job of jobs) {
+    trayJobs.set(job.siteId, job);
+    transferList.appendChild(createTransferRow(job));
   }
 }
 
+/**
+ * Create a transfer tray row for a job
+ */
+function createTransferRow(job) {
+  const row = transferJobTemplate.content.cloneNode(true).querySelector('.transfer-job');
+  row.classList.add(job.status);
+  row.dataset.siteId = job.siteId;
+
+  const { completed, total } = job.progress;
+  const percent = job.status === 'done' ? 100 : total > 0 ? Math.round((completed / total) * 100) : 0;
+  let status = JOB_STATUSES[job.status];
+  if (job.status === 'running' && total > 0) {
+    status += ` - ${completed}/${total} files`;
+  } else if (job.status === 'queued' && job.retryAt) {
+    status += ` - retry at ${new Date(job.retryAt).toLocaleTimeString()}`;
+  }
+  if (job.error && job.status !== 'running' && job.status !== 'done') {
+    status += ` - ${job.error}`;
+  }
+
+  row.querySelector('.transfer-job-name').textContent = job.updateSiteId ? `${job.name} (update)` : job.name;
+  row.querySelector('.transfer-job-status').textContent = status;
+  row.querySelector('.progress-fill').style.width = `${percent}%`;
+
+  const priority = row.querySelector('.transfer-job-priority');
+  for (const [value, label] of Object.entries(JOB_PRIORITIES)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    priority.appendChild(option);
+  }
+  priority.value = job.priority;
+  priority.disabled = job.status === 'done';
+  priority.addEventListener('change', () => setJobPriority(job.siteId, priority.value));
+
+  const pause = row.querySelector('.transfer-job-pause');
+  pause.classList.toggle('hidden', !['queued', 'waiting', 'running'].includes(job.status));
+  pause.addEventListener('click', () => pauseJob(job.siteId));
+
+  const resume = row.querySelector('.transfer-job-resume');
+  resume.textContent = job.status === 'failed' ? 'Retry' : 'Resume';
+  resume.classList.toggle('hidden', job.status !== 'paused' && job.status !== 'failed');
+  resume.addEventListener('click', () => resumeJob(job.siteId));
+
+  const cancel = row.querySelector('.transfer-job-cancel');
+  cancel.textContent = job.status === 'done' ? 'Remove' : 'Cancel';
+  cancel.addEventListener('click', () => cancelJob(job.siteId));
+
+  return row;
+}
+
 /**
  * Open the add site modal
  */
@@ -526,6 +1134,9 @@ async function handleAddSite(e) {
 
   if (!name || pendingFiles.length === 0) return;
 
+  const uploadSize = pendingFiles.reduce((sum, f) => sum + f.file.size, 0);
+  if (!(await ensureSpaceFor(uploadSize))) return;
+
   submitAdd.disabled = true;
   submitAdd.textContent = 'Uploading...';
 
@@ -557,47 +1168,21 @@ async function handleAddSite(e) {
       file_size: totalSize,
       content_hash: contentHash
     });
+    await createSnapshot(site.id, { contentHash });
 
     closeAddModal();
     await renderCatalog();
   } catch (error) {
     console.error('Error adding site:', error);
-    alert('Failed to add site.');
+    alert(isQuotaError(error)
+      ? 'Failed to add site: storage is full.'
+      : isVaultLockedError(error) ? 'Failed to add site: unlock the vault first.' : 'Failed to add site.');
   } finally {
     submitAdd.disabled = false;
     submitAdd.textContent = 'Add Site';
   }
 }
 
-/**
- * Guess content type from file path
- */
-function guessContentType(path) {
-  const ext = path.split('.').pop()?.toLowerCase();
-  const types = {
-    'html': 'text/html',
-    'htm': 'text/html',
-    'css': 'text/css',
-    'js': 'application/javascript',
-    'mjs': 'application/javascript',
-    'json': 'application/json',
-    'png': 'image/png',
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'gif': 'image/gif',
-    'svg': 'image/svg+xml',
-    'webp': 'image/webp',
-    'ico': 'image/x-icon',
-    'woff': 'font/woff',
-    'woff2': 'font/woff2',
-    'ttf': 'font/ttf',
-    'txt': 'text/plain',
-    'xml': 'application/xml',
-    'pdf': 'application/pdf'
-  };
-  return types[ext] || 'application/octet-stream';
-}
-
 /**
  * Open the detail modal for a site
  */
@@ -611,13 +1196,40 @@ async function openDetailModal(siteId) {
   detailDescription.textContent = site.description || 'No description';
   detailAdded.textContent = `Added ${formatDate(site.added_at)}`;
 
-  const files = await getFilesForSite(siteId);
-  const totalSize = files.reduce((sum, f) => sum + (f.size || 0), 0);
-  detailCachedStatus.textContent = `${files.length} files (${formatBytes(totalSize)})`;
+  const stats = await getSiteStats(siteId);
+  detailCachedStatus.textContent = `${stats.fileCount} files (${formatBytes(stats.totalSize)})`;
 
   detailCache.textContent = 'Re-upload';
-  detailBrowse.disabled = files.length === 0;
-  detailDownload.disabled = files.length === 0;
+  detailBrowse.disabled = stats.fileCount === 0;
+  detailDownload.disabled = stats.fileCount === 0;
+
+  const meta = await getSiteMeta(siteId);
+  detailPin.textContent = meta.pinned ? 'Unpin' : 'Pin';
+  if (meta.broken) {
+    detailCachedStatus.textContent += ` - broken${meta.brokenReason ? `: ${meta.brokenReason}` : ''}`;
+  }
+
+  detailSharingPolicy.innerHTML = '';
+  for (const [value, label] of Object.entries(SHARING_POLICIES)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    detailSharingPolicy.appendChild(option);
+  }
+  detailSharingPolicy.value = meta.sharing;
+  detailAllowlist.value = meta.allowlist.join('\n');
+  detailAllowlistGroup.classList.toggle('hidden', meta.sharing !== 'allowlist');
+
+  // Imported sites can be brought up to date when the original changes
+  const origin = await getUpdatableOrigin(site, meta);
+  detailUpdate.classList.toggle('hidden', !origin);
+  if (origin) {
+    const sources = await findImportSources(origin);
+    detailUpdate.disabled = sources.length === 0;
+    detailUpdate.title = sources.length === 0 ? 'No peer with the new version is connected' : '';
+  }
+
+  await renderVersions(site);
 
   cacheProgress.classList.add('hidden');
   detailModal.classList.remove('hidden');
@@ -645,13 +1257,24 @@ async function handleReupload() {
     const fileList = e.target.files;
     if (!fileList || fileList.length === 0) return;
 
+    const siteId = currentSiteId;
+    const uploadSize = Array.from(fileList).reduce((sum, f) => sum + f.size, 0);
+    if (!(await ensureSpaceFor(uploadSize, [siteId]))) return;
+
     detailCache.disabled = true;
     detailCache.textContent = 'Uploading...';
     cacheProgress.classList.remove('hidden');
 
     try {
-      // Clear existing files
-      await deleteFilesForSite(currentSiteId);
+      // Sites stored before version history existed get their current files saved first
+      const snapshots = await getSnapshots(siteId);
+      if (snapshots.length === 0) {
+        const site = await getSite(siteId);
+        await createSnapshot(siteId, { contentHash: site?.content_hash });
+      }
+
+      // Clear existing files (the previous version keeps its blobs)
+      await deleteFilesForSite(siteId);
 
       // Store new files
       let stored = 0;
@@ -660,19 +1283,34 @@ async function handleReupload() {
         const relativePath = pathParts.slice(1).join('/');
         const content = await file.arrayBuffer().then(buf => new Blob([buf], { type: file.type }));
         const contentType = file.type || guessContentType(relativePath);
-        await storeFile(currentSiteId, relativePath, content, contentType);
+        await storeFile(siteId, relativePath, content, contentType);
         stored++;
         const percent = Math.round((stored / fileList.length) * 100);
         progressFill.style.width = `${percent}%`;
         progressText.textContent = `${percent}% - ${stored}/${fileList.length} files`;
       }
 
+      // Publish the new stats and hash, and save this upload as a version
+      const files = await getManifest(siteId);
+      const contentHash = await computeContentHash(siteId);
+      await updateSite(siteId, {
+        file_count: files.length,
+        file_size: files.reduce((sum, f) => sum + (f.size || 0), 0),
+        content_hash: contentHash
+      });
+      await createSnapshot(siteId, { contentHash });
+
+      // Fresh files replace whatever was broken
+      await updateSiteMeta(siteId, { broken: false, brokenReason: null });
+
       // Refresh detail modal
-      await openDetailModal(currentSiteId);
+      if (currentSiteId === siteId) await openDetailModal(siteId);
       await renderCatalog();
     } catch (error) {
       console.error('Error re-uploading:', error);
-      alert('Failed to re-upload files.');
+      alert(isQuotaError(error)
+        ? 'Failed to re-upload files: storage is full.'
+        : isVaultLockedError(error) ? 'Failed to re-upload files: unlock the vault first.' : 'Failed to re-upload files.');
     } finally {
       detailCache.disabled = false;
       detailCache.textContent = 'Re-upload';
@@ -684,12 +1322,171 @@ async function handleReupload() {
   input.click();
 }
 
+/**
+ * Render the version history in the detail modal
+ */
+async function renderVersions(site) {
+  const snapshots = await getSnapshots(site.id);
+  detailVersions.classList.toggle('hidden', snapshots.length === 0);
+  detailPrune.disabled = snapshots.length <= 1;
+  detailVersionsList.innerHTML = '';
+
+  // The newest version matching the published hash is the one being served
+  const current = snapshots.find(s => s.contentHash && s.contentHash === site.content_hash);
+
+  for (const snapshot of snapshots) {
+    const template = versionRowTemplate.content.cloneNode(true);
+    const row = template.querySelector('.version-row');
+    const isCurrent = snapshot === current;
+
+    row.querySelector('.version-label').textContent = `v${snapshot.version}${isCurrent ? ' (current)' : ''}`;
+    row.querySelector('.version-meta').textContent =
+      `${formatDate(snapshot.createdAt)} · ${snapshot.fileCount} files (${formatBytes(snapshot.totalSize)})`;
+
+    row.querySelector('.version-browse').addEventListener('click', () => {
+      window.open(`/local/${site.id}@${snapshot.version}/`, '_blank');
+    });
+
+    const restoreBtn = row.querySelector('.version-restore');
+    restoreBtn.disabled = isCurrent;
+    restoreBtn.addEventListener('click', () => handleRestoreVersion(site.id, snapshot.version));
+
+    const deleteBtn = row.querySelector('.version-delete');
+    deleteBtn.disabled = isCurrent;
+    deleteBtn.addEventListener('click', () => handleDeleteVersion(site.id, snapshot.version));
+
+    detailVersionsList.appendChild(row);
+  }
+}
+
+/**
+ * Restore a saved version as the site's current files
+ */
+async function handleRestoreVersion(siteId, version) {
+  if (!confirm(`Restore version ${version}? The current files stay available in the version history.`)) {
+    return;
+  }
+
+  try {
+    const snapshot = await restoreSnapshot(siteId, version);
+    const contentHash = snapshot.contentHash || await computeContentHash(siteId);
+    await updateSite(siteId, {
+      file_count: snapshot.fileCount,
+      file_size: snapshot.totalSize,
+      content_hash: contentHash
+    });
+
+    await openDetailModal(siteId);
+    await renderCatalog();
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    alert('Failed to restore version.');
+  }
+}
+
+/**
+ * Delete a saved version
+ */
+async function handleDeleteVersion(siteId, version) {
+  if (!confirm(`Delete version ${version}? This cannot be undone.`)) return;
+
+  try {
+    await deleteSnapshot(siteId, version);
+    await openDetailModal(siteId);
+    await renderCatalog();
+  } catch (error) {
+    console.error('Error deleting version:', error);
+    alert('Failed to delete version.');
+  }
+}
+
+/**
+ * Delete every saved version except the current one
+ */
+async function handlePruneVersions() {
+  if (!currentSiteId) return;
+  const siteId = currentSiteId;
+
+  const site = await getSite(siteId);
+  const snapshots = await getSnapshots(siteId);
+  const current = snapshots.find(s => s.contentHash && s.contentHash === site?.content_hash);
+  const keep = current ? [current.version] : snapshots.slice(0, 1).map(s => s.version);
+
+  if (!confirm(`Delete ${snapshots.length - keep.length} old version(s) to reclaim space?`)) return;
+
+  try {
+    await pruneSnapshots(siteId, keep);
+    await openDetailModal(siteId);
+    await renderCatalog();
+  } catch (error) {
+    console.error('Error pruning versions:', error);
+    alert('Failed to prune versions.');
+  }
+}
+
 /**
  * Handle browse offline button click
  */
 function handleBrowseSite() {
   if (!currentSiteId) return;
-  window.open(`/local/${currentSiteId}/`, '_blank');
+  browseSite(currentSiteId);
+}
+
+/**
+ * Open a site's local copy and record when it was last browsed
+ */
+function browseSite(siteId) {
+  window.open(`/local/${siteId}/`, '_blank');
+  updateSiteMeta(siteId, { lastBrowsedAt: new Date().toISOString() })
+    .catch(err => console.warn('Failed to record browse time:', err));
+}
+
+/**
+ * Save the sharing policy and allowlist of the current site
+ */
+async function handleSharingChange() {
+  if (!currentSiteId) return;
+
+  const sharing = detailSharingPolicy.value;
+  const allowlist = detailAllowlist.value.split(/\s+/).filter(Boolean);
+  await updateSiteMeta(currentSiteId, { sharing, allowlist });
+  detailAllowlistGroup.classList.toggle('hidden', sharing !== 'allowlist');
+}
+
+/**
+ * Ask whether a peer may import a site shared with the 'ask' policy, in a
+ * prompt that leaves the rest of the app running. The prompt goes away
+ * unanswered when the signal aborts (transfer.js then denies).
+ */
+function handleAccessRequest(peerId, site, signal) {
+  return new Promise(resolve => {
+    const template = accessRequestTemplate.content.cloneNode(true);
+    const prompt = template.querySelector('.access-request');
+    prompt.querySelector('.access-request-text').textContent =
+      `Peer ${peerId.slice(0, 8)}... wants to import "${site.name || 'Unnamed Site'}"`;
+
+    const answer = (allowed) => {
+      prompt.remove();
+      resolve(allowed);
+    };
+    prompt.querySelector('.access-request-allow').addEventListener('click', () => answer(true));
+    prompt.querySelector('.access-request-deny').addEventListener('click', () => answer(false));
+    signal?.addEventListener('abort', () => answer(false), { once: true });
+
+    accessRequests.appendChild(prompt);
+  });
+}
+
+/**
+ * Handle pin button click (pinned sites are never evicted)
+ */
+async function handlePinSite() {
+  if (!currentSiteId) return;
+
+  const meta = await getSiteMeta(currentSiteId);
+  const updated = await updateSiteMeta(currentSiteId, { pinned: !meta.pinned });
+  detailPin.textContent = updated.pinned ? 'Unpin' : 'Pin';
+  await renderCatalog();
 }
 
 /**
@@ -726,7 +1523,7 @@ async function handleDownloadSite() {
     URL.revokeObjectURL(url);
   } catch (error) {
     console.error('Error creating ZIP:', error);
-    alert('Failed to create ZIP file.');
+    alert(isVaultLockedError(error) ? 'Unlock the vault to download this site.' : 'Failed to create ZIP file.');
   } finally {
     detailDownload.disabled = false;
     detailDownload.textContent = 'Download ZIP';
@@ -745,6 +1542,8 @@ async function handleRemoveSite() {
 
   try {
     await deleteFilesForSite(currentSiteId);
+    await pruneSnapshots(currentSiteId);
+    await deleteSiteMeta(currentSiteId);
     await removeSite(currentSiteId);
     closeDetailModal();
     await renderCatalog();
@@ -754,6 +1553,417 @@ async function handleRemoveSite() {
   }
 }
 
+/**
+ * Another tab or the service worker upgraded the content database, so this
+ * page's code is older than the schema. Reloading picks up the new code.
+ */
+function handleDatabaseUpgrade(newVersion) {
+  console.warn(`Content database upgraded to v${newVersion} elsewhere`);
+  if (confirm('Scrap Yard was updated in another tab. Reload to continue?')) {
+    location.reload();
+  }
+}
+
+/**
+ * Make sure there is room for a write, offering to evict sites if not
+ * @param {number} bytes - Size of the upload or import
+ * @param {Array<string>} exclude - Site IDs that must not be evicted
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function ensureSpaceFor(bytes, exclude = []) {
+  const check = await checkSpaceFor(bytes);
+  if (check.fits) return true;
+
+  const needed = `This needs ${formatBytes(bytes)} but only ${formatBytes(check.available)} is available.`;
+  const plan = await planEviction(check.shortfall, { exclude });
+
+  if (plan.sites.length === 0 || plan.freed < check.shortfall) {
+    return confirm(`${needed} Not enough sites can be removed to make room. Try anyway?`);
+  }
+
+  const names = plan.sites.map(s => s.name || 'Unnamed Site').join(', ');
+  if (!confirm(`${needed} Remove these sites to free up to ${formatBytes(plan.freed)}?\n\n${names}`)) {
+    return false;
+  }
+
+  for (const site of plan.sites) {
+    await evictSite(site.id);
+  }
+  await renderCatalog();
+  return true;
+}
+
+/**
+ * Update the storage usage indicator
+ */
+async function updateStorageStatus() {
+  try {
+    const estimate = await getStorageEstimate();
+    if (estimate.quota === null) {
+      storageStatus.textContent = `${formatBytes(estimate.contentSize)} stored`;
+      return;
+    }
+
+    storageStatus.textContent = `${formatBytes(estimate.contentSize)} stored · ${formatBytes(estimate.available)} free`;
+    storageStatus.title = `Origin usage: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}` +
+      (estimate.persisted ? ' (persistent)' : '');
+    storageStatus.classList.toggle('low', estimate.available < estimate.quota * 0.1);
+  } catch (error) {
+    console.warn('Failed to estimate storage:', error);
+  }
+}
+
+/**
+ * Open the settings modal
+ */
+async function openSettingsModal() {
+  const settings = getSettings();
+
+  settingEviction.innerHTML = '';
+  for (const [value, label] of Object.entries(EVICTION_POLICIES)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    settingEviction.appendChild(option);
+  }
+  settingEviction.value = settings.evictionPolicy;
+  settingAutoGc.checked = settings.autoCollectGarbage;
+  settingConcurrency.value = settings.transferConcurrency;
+  settingAdaptiveConcurrency.checked = settings.adaptiveConcurrency;
+  settingUploadLimit.value = settings.uploadLimit;
+  settingPeerUploadLimit.value = settings.peerUploadLimit;
+  settingDownloadLimit.value = settings.downloadLimit;
+  settingPeerDownloadLimit.value = settings.peerDownloadLimit;
+  settingMaxServed.value = settings.maxServedFiles;
+
+  renderVaultSettings();
+  settingsIntegrityList.innerHTML = '';
+  renderOrphans();
+
+  const estimate = await getStorageEstimate();
+  settingsStorage.textContent = estimate.quota === null
+    ? `${formatBytes(estimate.contentSize)} of site content stored`
+    : `${formatBytes(estimate.contentSize)} of site content, ` +
+      `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used in total. ` +
+      `Storage is ${estimate.persisted ? 'persistent' : 'not persistent and may be cleared by the browser'}.`;
+
+  settingsModal.classList.remove('hidden');
+}
+
+/**
+ * Close the settings modal
+ */
+function closeSettingsModal() {
+  settingsModal.classList.add('hidden');
+}
+
+/**
+ * Handle settings form submission
+ */
+function handleSaveSettings(e) {
+  e.preventDefault();
+  updateSettings({
+    evictionPolicy: settingEviction.value,
+    autoCollectGarbage: settingAutoGc.checked,
+    transferConcurrency: Math.min(32, Math.max(1, parseInt(settingConcurrency.value, 10) || 1)),
+    adaptiveConcurrency: settingAdaptiveConcurrency.checked,
+    uploadLimit: parseRateLimit(settingUploadLimit.value),
+    peerUploadLimit: parseRateLimit(settingPeerUploadLimit.value),
+    downloadLimit: parseRateLimit(settingDownloadLimit.value),
+    peerDownloadLimit: parseRateLimit(settingPeerDownloadLimit.value),
+    maxServedFiles: Math.min(64, Math.max(1, parseInt(settingMaxServed.value, 10) || 1))
+  });
+  closeSettingsModal();
+}
+
+/**
+ * Parse a KB/s limit from the settings form: 0 for none, otherwise at
+ * least 16 so a file's chunks don't arrive too far apart to keep it alive
+ */
+function parseRateLimit(value) {
+  const limit = parseInt(value, 10) || 0;
+  return limit > 0 ? Math.max(16, limit) : 0;
+}
+
+/**
+ * Get the sites with an unfinished job in the transfer queue; their
+ * files aren't orphans
+ */
+async function getQueuedSiteIds() {
+  const jobs = await getTransferJobs();
+  return jobs.filter(job => job.status !== 'done').map(job => job.siteId);
+}
+
+/**
+ * Show how much space orphaned files use in the settings modal
+ */
+async function renderOrphans() {
+  settingsOrphansRemove.disabled = true;
+
+  try {
+    const { sites, reclaimable } = await findOrphanedSites({ exclude: await getQueuedSiteIds() });
+    const fileCount = sites.reduce((sum, site) => sum + site.fileCount, 0);
+
+    settingsOrphans.textContent = sites.length === 0
+      ? 'No files are stored for sites outside your catalog.'
+      : `${fileCount} files stored for ${sites.length} sites not in your catalog, ` +
+        `${formatBytes(reclaimable)} can be freed.`;
+    settingsOrphansRemove.disabled = sites.length === 0;
+  } catch (error) {
+    console.error('Error finding orphaned files:', error);
+    settingsOrphans.textContent = 'Orphaned files can\'t be checked until the catalog is loaded.';
+  }
+}
+
+/**
+ * Remove orphaned files on request
+ */
+async function handleRemoveOrphans() {
+  settingsOrphansRemove.disabled = true;
+  settingsOrphansRemove.textContent = 'Removing...';
+
+  try {
+    const { freed } = await collectGarbage({ exclude: await getQueuedSiteIds() });
+    console.log(`Freed ${formatBytes(freed)} of orphaned files`);
+    updateStorageStatus();
+  } catch (error) {
+    console.error('Error removing orphaned files:', error);
+    alert('Failed to remove orphaned files.');
+  } finally {
+    settingsOrphansRemove.textContent = 'Remove Now';
+    await renderOrphans();
+  }
+}
+
+/**
+ * Run the integrity check and list sites with problems
+ */
+async function handleCheckIntegrity() {
+  settingsIntegrityCheck.disabled = true;
+  settingsIntegrityList.innerHTML = '';
+
+  try {
+    const reports = await checkIntegrity({
+      onProgress: (checked, total) => {
+        settingsIntegrity.textContent = `Checking ${checked} of ${total} sites...`;
+      }
+    });
+    const problems = reports.filter(report => !report.ok);
+
+    settingsIntegrity.textContent = problems.length === 0
+      ? `All ${reports.length} sites match their stored files.`
+      : `${problems.length} of ${reports.length} sites have problems.`;
+
+    for (const report of problems) {
+      settingsIntegrityList.appendChild(createIntegrityRow(report));
+    }
+  } catch (error) {
+    console.error('Integrity check failed:', error);
+    settingsIntegrity.textContent = `Integrity check failed: ${error.message}`;
+  } finally {
+    settingsIntegrityCheck.disabled = false;
+  }
+}
+
+/**
+ * Create a row for a site's integrity report, with repair actions
+ */
+function createIntegrityRow(report) {
+  const template = integrityRowTemplate.content.cloneNode(true);
+  const row = template.querySelector('.integrity-row');
+
+  row.classList.toggle('ok', report.ok);
+  row.querySelector('.integrity-name').textContent = report.name || 'Unnamed Site';
+
+  const issues = row.querySelector('.integrity-issues');
+  const messages = report.ok ? ['Repaired'] : report.issues.map(issue => issue.message);
+  for (const message of messages) {
+    const item = document.createElement('li');
+    item.textContent = message;
+    issues.appendChild(item);
+  }
+
+  const repair = async (action, reason) => {
+    row.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    try {
+      const fresh = await repairSite(report.siteId, action, reason);
+      row.replaceWith(createIntegrityRow(fresh));
+      await renderCatalog();
+    } catch (error) {
+      console.error('Repair failed:', error);
+      alert(`Failed to repair site: ${error.message}`);
+      row.querySelectorAll('button').forEach(button => { button.disabled = false; });
+    }
+  };
+
+  // Recomputing can't bring back lost content; that needs a re-upload
+  const contentLost = report.issues.some(issue => issue.code === 'missing-content');
+  const recompute = row.querySelector('.integrity-recompute');
+  const markBroken = row.querySelector('.integrity-mark-broken');
+  recompute.classList.toggle('hidden', report.ok);
+  markBroken.classList.toggle('hidden', report.ok);
+  recompute.addEventListener('click', () => repair('recompute'));
+  markBroken.addEventListener('click', () => {
+    repair('mark-broken', contentLost ? 'Stored content is missing' : 'Failed integrity check');
+  });
+
+  return row;
+}
+
+/**
+ * Show vault status and the actions that apply in the settings modal
+ */
+function renderVaultSettings() {
+  const vault = getVaultStatus();
+
+  settingsVault.textContent = !vault.enabled
+    ? 'Site files are stored unencrypted.'
+    : vault.unlocked
+      ? 'Site files are encrypted. The vault is unlocked for this session.'
+      : 'Site files are encrypted. The vault is locked.';
+
+  settingsVaultEnable.classList.toggle('hidden', vault.enabled);
+  settingsVaultLock.classList.toggle('hidden', !vault.enabled);
+  settingsVaultLock.textContent = vault.unlocked ? 'Lock' : 'Unlock';
+  settingsVaultDisable.classList.toggle('hidden', !vault.enabled);
+  settingsVaultDisable.disabled = !vault.unlocked;
+}
+
+/**
+ * Show the header vault button when vault mode is on
+ */
+function updateVaultButton() {
+  const vault = getVaultStatus();
+  vaultBtn.classList.toggle('hidden', !vault.enabled);
+  vaultBtn.textContent = vault.unlocked ? 'Lock Vault' : 'Unlock Vault';
+}
+
+/**
+ * Open the passphrase modal
+ * @param {string} mode - 'unlock' or 'enable'
+ */
+function openVaultModal(mode) {
+  vaultMode = mode;
+  vaultForm.reset();
+  vaultError.classList.add('hidden');
+
+  const enabling = mode === 'enable';
+  vaultTitle.textContent = enabling ? 'Enable Vault' : 'Unlock Vault';
+  vaultHint.textContent = enabling
+    ? 'Site files will be encrypted with a key derived from this passphrase. ' +
+      'There is no way to recover them if you forget it.'
+    : 'Enter your passphrase to read and serve encrypted sites in this session.';
+  vaultConfirmGroup.classList.toggle('hidden', !enabling);
+  vaultConfirm.required = enabling;
+  vaultSubmit.textContent = enabling ? 'Enable' : 'Unlock';
+
+  vaultModal.classList.remove('hidden');
+  vaultPassphrase.focus();
+}
+
+/**
+ * Close the passphrase modal
+ */
+function closeVaultModal() {
+  vaultModal.classList.add('hidden');
+  vaultForm.reset();
+}
+
+/**
+ * Handle passphrase form submission
+ */
+async function handleVaultSubmit(e) {
+  e.preventDefault();
+
+  const passphrase = vaultPassphrase.value;
+  if (vaultMode === 'enable' && passphrase !== vaultConfirm.value) {
+    vaultError.textContent = 'Passphrases do not match.';
+    vaultError.classList.remove('hidden');
+    return;
+  }
+
+  vaultSubmit.disabled = true;
+  vaultSubmit.textContent = vaultMode === 'enable' ? 'Encrypting...' : 'Unlocking...';
+
+  try {
+    if (vaultMode === 'enable') {
+      await enableVault(passphrase);
+    } else {
+      await unlockVault(passphrase);
+    }
+    sendVaultKeyToWorker();
+    closeVaultModal();
+  } catch (error) {
+    console.error('Vault error:', error);
+    vaultError.textContent = error.message;
+    vaultError.classList.remove('hidden');
+  } finally {
+    vaultSubmit.disabled = false;
+    vaultSubmit.textContent = vaultMode === 'enable' ? 'Enable' : 'Unlock';
+    updateVaultButton();
+    renderVaultSettings();
+  }
+}
+
+/**
+ * Lock an unlocked vault, or ask for the passphrase to unlock it
+ */
+function handleToggleVaultLock() {
+  if (!getVaultStatus().unlocked) {
+    openVaultModal('unlock');
+    return;
+  }
+
+  lockVault();
+  navigator.serviceWorker?.controller?.postMessage({ type: 'VAULT_LOCK' });
+  updateVaultButton();
+  renderVaultSettings();
+}
+
+/**
+ * Decrypt everything and turn vault mode off
+ */
+async function handleDisableVault() {
+  if (!confirm('Disable the vault? All site files will be decrypted and stored in the clear.')) return;
+
+  settingsVaultDisable.disabled = true;
+  settingsVaultDisable.textContent = 'Decrypting...';
+
+  try {
+    await disableVault();
+    navigator.serviceWorker?.controller?.postMessage({ type: 'VAULT_LOCK' });
+  } catch (error) {
+    console.error('Error disabling vault:', error);
+    alert('Failed to disable the vault.');
+  } finally {
+    settingsVaultDisable.textContent = 'Disable Vault';
+    updateVaultButton();
+    renderVaultSettings();
+  }
+}
+
+/**
+ * Hand the unlocked vault key to the service worker so /local/ can serve
+ * encrypted sites. CryptoKeys are structured-cloneable and stay non-extractable.
+ */
+async function sendVaultKeyToWorker() {
+  const key = getVaultKey();
+  if (!key || !('serviceWorker' in navigator)) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: 'VAULT_KEY', key });
+}
+
+/**
+ * Handle messages from the service worker
+ */
+function handleWorkerMessage(event) {
+  if (event.data?.type === 'VAULT_KEY_REQUEST') {
+    const key = getVaultKey();
+    if (key) event.source?.postMessage({ type: 'VAULT_KEY', key });
+  }
+}
+
 /**
  * Update the sync status indicator
  */
@@ -774,6 +1984,22 @@ function updateSyncStatus() {
   }
 }
 
+/**
+ * Format a rate in bytes per second
+ */
+function formatRate(bytesPerSecond) {
+  return `${formatBytes(Math.round(bytesPerSecond))}/s`;
+}
+
+/**
+ * Format a duration in seconds, to the two largest units
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.floor(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
 /**
  * Format a date string
  */
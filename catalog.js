@@ -295,6 +295,20 @@ export async function findMySiteByHash(contentHash) {
   return sites[0] || null;
 }
 
+/**
+ * Find every site row, whoever owns it, with a specific content hash
+ * @param {string} contentHash
+ * @returns {Promise<Array>}
+ */
+export async function getSitesByHash(contentHash) {
+  if (!ledger || !contentHash) return [];
+  const result = await ledger.exec(
+    'SELECT * FROM sites WHERE content_hash = ?',
+    [contentHash]
+  );
+  return rowsToSites(result);
+}
+
 /**
  * Adopt a site (create your own copy so you can propagate it further)
  * @param {string} originalId - The original site ID (used for file storage reference)
@@ -0,0 +1,129 @@
+/**
+ * Integrity check ("fsck")
+ * Compares each site I own in the catalog with the files stored in
+ * IndexedDB, reports what disagrees, and repairs it
+ */
+
+import {
+  inspectSiteFiles,
+  getSiteStats,
+  recalculateSiteStats,
+  computeContentHash,
+  updateSiteMeta
+} from './persistence.js';
+import { getMySites, getSite, updateSite } from './catalog.js';
+
+// SHA-256 of no bytes: the hash of a file that is meant to be empty
+const EMPTY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+// Ways to repair a site with problems
+export const REPAIR_ACTIONS = {
+  'recompute': 'Recompute file count, size and hash from stored files',
+  'mark-broken': 'Mark the site as broken'
+};
+
+/**
+ * Check a single site against its stored files
+ * @param {Object} site - Catalog row
+ * @returns {Promise<Object>} {siteId, name, ok, issues, actual}
+ *   issues are {code, message, path?}; actual is what the stored files say
+ */
+export async function checkSite(site) {
+  const files = await inspectSiteFiles(site.id);
+  const stats = await getSiteStats(site.id);
+  const issues = [];
+
+  const actual = {
+    fileCount: files.length,
+    totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+    contentHash: await computeContentHash(site.id)
+  };
+
+  for (const file of files) {
+    if (file.blobMissing) {
+      issues.push({ code: 'missing-content', path: file.path, message: `${file.path}: stored content is gone` });
+    } else if (file.size > 0 && file.storedSize === 0) {
+      issues.push({ code: 'empty-file', path: file.path, message: `${file.path}: ${file.size} bytes recorded, none stored` });
+    } else if (file.size === 0 && file.hash !== EMPTY_HASH) {
+      issues.push({ code: 'empty-file', path: file.path, message: `${file.path}: recorded as empty, but its hash is of content` });
+    }
+  }
+
+  if ((site.file_count || 0) > actual.fileCount) {
+    issues.push({
+      code: 'missing-files',
+      message: `Catalog lists ${site.file_count} files, only ${actual.fileCount} are stored`
+    });
+  } else if ((site.file_count || 0) !== actual.fileCount) {
+    issues.push({
+      code: 'file-count',
+      message: `Catalog lists ${site.file_count || 0} files, ${actual.fileCount} are stored`
+    });
+  }
+
+  if ((site.file_size || 0) !== actual.totalSize) {
+    issues.push({
+      code: 'file-size',
+      message: `Catalog size is ${site.file_size || 0} bytes, stored files total ${actual.totalSize}`
+    });
+  }
+
+  if ((site.content_hash || '') !== actual.contentHash) {
+    issues.push({ code: 'content-hash', message: 'Catalog content hash does not match stored files' });
+  }
+
+  if (stats.fileCount !== actual.fileCount || stats.totalSize !== actual.totalSize) {
+    issues.push({ code: 'stats-drift', message: 'Local storage stats are out of date' });
+  }
+
+  return { siteId: site.id, name: site.name, ok: issues.length === 0, issues, actual };
+}
+
+/**
+ * Check every site I own
+ * @param {Object} options - {onProgress(checked, total)}
+ * @returns {Promise<Array>} One report per site, see checkSite
+ */
+export async function checkIntegrity(options = {}) {
+  const { onProgress } = options;
+  const sites = await getMySites();
+  const reports = [];
+
+  for (const site of sites) {
+    reports.push(await checkSite(site));
+    onProgress?.(reports.length, sites.length);
+  }
+
+  const problems = reports.filter(report => !report.ok).length;
+  console.log(`[Integrity] Checked ${sites.length} sites, ${problems} with problems`);
+  return reports;
+}
+
+/**
+ * Repair a site
+ * @param {string} siteId
+ * @param {string} action - Key of REPAIR_ACTIONS
+ * @param {string} reason - Why the site is broken, for 'mark-broken'
+ * @returns {Promise<Object>} A fresh report for the site
+ */
+export async function repairSite(siteId, action, reason = '') {
+  const site = await getSite(siteId);
+  if (!site) throw new Error('Site not found');
+
+  if (action === 'recompute') {
+    const stats = await recalculateSiteStats(siteId);
+    const contentHash = await computeContentHash(siteId);
+    await updateSite(siteId, {
+      file_count: stats.fileCount,
+      file_size: stats.totalSize,
+      content_hash: contentHash
+    });
+  } else if (action === 'mark-broken') {
+    await updateSiteMeta(siteId, { broken: true, brokenReason: reason || null });
+  } else {
+    throw new Error(`Unknown repair action: ${action}`);
+  }
+
+  console.log(`[Integrity] Repaired site ${siteId}: ${action}`);
+  return checkSite(await getSite(siteId));
+}
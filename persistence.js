@@ -1,38 +1,389 @@
 /**
  * IndexedDB persistence for site files (local only, not synced)
+ *
+ * File content is content-addressed: each unique blob is stored once in
+ * `blobs`, keyed by its SHA-256 digest and reference counted. Records in
+ * `site_files` are the per-site manifest, mapping a path to a digest.
+ * Snapshots in `site_versions` hold references to blobs as well, so old
+ * versions survive re-uploads without copying any content.
+ *
+ * `site_stats` keeps per-site file counts and sizes up to date with every
+ * write, so size and status checks never have to read file records.
+ *
+ * Text-like blobs are gzipped at rest; the blob record notes its `encoding`
+ * and `size` is the stored size. Digests, file sizes and every content this
+ * module returns are of the original bytes.
+ *
+ * In vault mode blob content is also encrypted with AES-GCM (after
+ * compression) under a key derived from the user's passphrase. Blob
+ * records carry the `iv`; the key itself only ever lives in memory.
+ *
+ * Imports in progress are kept in `imports` (the peer, file list and files
+ * done) and `import_chunks` (bytes received so far of unfinished files), so
+ * an import can pick up where it stopped after a disconnect or reload.
+ * `transfer_jobs` is the queue of imports to run, one job per site, and
+ * `transfer_history` keeps the most recent finished file transfers.
  */
 
-const DB_NAME = 'scrap_yard_content';
-const DB_VERSION = 1;
-const STORE_NAME = 'site_files';
+import {
+  openContentDB,
+  FILE_STORE,
+  BLOB_STORE,
+  META_STORE,
+  VERSION_STORE,
+  STATS_STORE,
+  VAULT_STORE,
+  IMPORT_STORE,
+  IMPORT_CHUNK_STORE,
+  TRANSFER_JOB_STORE,
+  TRANSFER_HISTORY_STORE
+} from './schema.js';
+
+// Content types that are compressed at rest
+const COMPRESSIBLE_TYPES = /^(text\/|image\/svg\+xml|application\/(javascript|x-javascript|ecmascript|json|ld\+json|manifest\+json|xml|xhtml\+xml|rss\+xml|atom\+xml))/;
+
+// Vault key derivation
+const VAULT_CONFIG_ID = 'config';
+const PBKDF2_ITERATIONS = 310000;
+const VAULT_CHECK_TEXT = 'scrap-yard-vault';
 
 let db = null;
+let dbReady = null;
+
+// Transactions applyRefDeltas aborted, and the hash of the blob that was missing
+const missingBlobs = new WeakMap();
+let versionChangeCallbacks = [];
+
+// Vault state: config is persisted, the unlocked key is not
+let vaultConfig = null;
+let vaultKey = null;
 
 /**
  * Initialize the IndexedDB database
  */
-export async function initDB() {
-  if (db) return db;
+export function initDB() {
+  if (!dbReady) {
+    dbReady = openContentDB({ onVersionChange: handleVersionChange })
+      .then((database) => {
+        db = database;
+        return migrateLegacyFiles();
+      })
+      .then(loadVaultConfig)
+      .then(() => db)
+      .catch((error) => {
+        dbReady = null;
+        throw error;
+      });
+  }
+  return dbReady;
+}
 
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+/**
+ * Another context is upgrading the database: drop our closed connection so
+ * the next call reopens it, and let the app know its code may be stale
+ */
+function handleVersionChange(event) {
+  db = null;
+  dbReady = null;
+  versionChangeCallbacks.forEach(cb => cb(event.newVersion));
+}
+
+/**
+ * Subscribe to database upgrades made by another tab or the service worker
+ * @param {function} callback - Called with the new version number
+ * @returns {function} Unsubscribe function
+ */
+export function onDatabaseVersionChange(callback) {
+  versionChangeCallbacks.push(callback);
+  return () => {
+    versionChangeCallbacks = versionChangeCallbacks.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Move content out of version 1 file records into the blob store.
+ * Hashing is async, so this can't run inside the upgrade transaction;
+ * records are converted one at a time after the database is open.
+ */
+async function migrateLegacyFiles() {
+  const legacyKeys = await new Promise((resolve, reject) => {
+    const keys = [];
+    const tx = db.transaction(FILE_STORE, 'readonly');
+    const request = tx.objectStore(FILE_STORE).openCursor();
 
     request.onerror = () => reject(request.error);
     request.onsuccess = () => {
-      db = request.result;
-      resolve(db);
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(keys);
+        return;
+      }
+      if (!cursor.value.hash) keys.push(cursor.key);
+      cursor.continue();
     };
+  });
+
+  for (const key of legacyKeys) {
+    const file = await new Promise((resolve, reject) => {
+      const request = db.transaction(FILE_STORE, 'readonly').objectStore(FILE_STORE).get(key);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+    if (!file || file.hash || !file.content) continue;
+
+    const hash = await hashBlob(file.content);
+    const { content, ...record } = file;
+    const encoded = await encodeContent(content, record.contentType);
+
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([FILE_STORE, BLOB_STORE], 'readwrite');
+      applyRefDeltas(tx.objectStore(BLOB_STORE), new Map([[hash, 1]]), new Map([[hash, encoded]]));
+      tx.objectStore(FILE_STORE).put({ ...record, hash });
+      tx.oncomplete = () => resolve();
+      tx.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  if (legacyKeys.length > 0) {
+    console.log(`[Persistence] Migrated ${legacyKeys.length} files to the blob store`);
+  }
+}
+
+/**
+ * Compute the SHA-256 digest of a blob
+ * @param {Blob} blob
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashBlob(blob) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return toHex(hashBuffer);
+}
+
+/**
+ * Guess content type from file path
+ * @param {string} path
+ * @returns {string} MIME type, application/octet-stream if unknown
+ */
+export function guessContentType(path) {
+  const ext = path.split('.').pop()?.toLowerCase();
+  const types = {
+    'html': 'text/html',
+    'htm': 'text/html',
+    'css': 'text/css',
+    'js': 'application/javascript',
+    'mjs': 'application/javascript',
+    'json': 'application/json',
+    'png': 'image/png',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'gif': 'image/gif',
+    'svg': 'image/svg+xml',
+    'webp': 'image/webp',
+    'ico': 'image/x-icon',
+    'woff': 'font/woff',
+    'woff2': 'font/woff2',
+    'ttf': 'font/ttf',
+    'txt': 'text/plain',
+    'xml': 'application/xml',
+    'pdf': 'application/pdf'
+  };
+  return types[ext] || 'application/octet-stream';
+}
+
+/**
+ * Compress content for storage if its type is text-like and it shrinks
+ * @param {Blob} content - Original bytes
+ * @param {string} contentType
+ * @returns {Promise<Object>} {content, encoding: 'gzip' | 'identity'}
+ */
+async function encodeContent(content, contentType) {
+  if (typeof CompressionStream === 'undefined' || !COMPRESSIBLE_TYPES.test(contentType || '')) {
+    return { content, encoding: 'identity' };
+  }
+
+  const stream = content.stream().pipeThrough(new CompressionStream('gzip'));
+  const compressed = await new Response(stream).blob();
+
+  // Tiny or minified-and-dense files can come out larger
+  if (compressed.size >= content.size) {
+    return { content, encoding: 'identity' };
+  }
+  return { content: compressed, encoding: 'gzip' };
+}
+
+/**
+ * Restore the original bytes of stored content
+ * @param {Blob} content - Stored bytes
+ * @param {string} encoding - Encoding recorded on the blob
+ * @param {string} contentType - MIME type for the returned blob
+ * @returns {Promise<Blob>}
+ */
+async function decodeContent(content, encoding, contentType) {
+  if (!content || encoding !== 'gzip') return content;
+
+  const stream = content.stream().pipeThrough(new DecompressionStream('gzip'));
+  const decoded = await new Response(stream).blob();
+  return new Blob([decoded], { type: contentType || '' });
+}
+
+/**
+ * Decode the content of hydrated file records in place
+ * @param {Array} files - Records filled in by hydrateFiles
+ * @returns {Promise<Array>} The same records
+ */
+async function decodeFiles(files) {
+  for (const file of files) {
+    if (file.encoding) {
+      file.content = await openContent(file);
+      delete file.encoding;
+      delete file.iv;
+    }
+  }
+  return files;
+}
+
+/**
+ * Prepare content for the blob store: compress, then encrypt in vault mode
+ * @returns {Promise<Object>} {content, encoding, iv?}
+ */
+async function sealContent(content, contentType) {
+  const encoded = await encodeContent(content, contentType);
+  if (!vaultConfig) return encoded;
+  return { ...encoded, ...(await encryptBlob(encoded.content)) };
+}
+
+/**
+ * Recover original bytes from a hydrated record: decrypt, then decompress
+ * @param {Object} file - {content, encoding, iv?, contentType}
+ * @returns {Promise<Blob>}
+ */
+async function openContent(file) {
+  const content = file.iv ? await decryptBlob(file.content, file.iv) : file.content;
+  return decodeContent(content, file.encoding, file.contentType);
+}
+
+/**
+ * Check whether a blob is already stored
+ */
+function hasBlob(hash) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(BLOB_STORE, 'readonly').objectStore(BLOB_STORE).count(hash);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result > 0);
+  });
+}
+
+/**
+ * Convert an ArrayBuffer to a hex string
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Add a reference count change for a hash to a deltas map
+ */
+function countRef(deltas, hash, delta) {
+  if (!hash) return;
+  deltas.set(hash, (deltas.get(hash) || 0) + delta);
+}
+
+/**
+ * Get why a transaction aborted: a MissingBlobError if applyRefDeltas
+ * found a blob it was to reference gone, otherwise the transaction's error
+ */
+function abortError(tx) {
+  const hash = missingBlobs.get(tx);
+  if (!hash) return tx.error;
+
+  const error = new Error(`Blob ${hash} is no longer stored`);
+  error.name = 'MissingBlobError';
+  return error;
+}
+
+/**
+ * Adjust blob reference counts within an open transaction.
+ * Deltas are aggregated per hash by the caller so each blob is read and
+ * written once; blobs that drop to zero references are deleted. Adding a
+ * reference to a blob that isn't stored, with no content for it, aborts
+ * the transaction (see abortError).
+ * @param {IDBObjectStore} blobStore
+ * @param {Map<string, number>} deltas - hash -> reference count change
+ * @param {Map<string, Object>} contents - {content, encoding, iv?} for hashes that may be new
+ */
+function applyRefDeltas(blobStore, deltas, contents = new Map()) {
+  for (const [hash, delta] of deltas) {
+    if (delta === 0) continue;
 
-    request.onupgradeneeded = (event) => {
-      const database = event.target.result;
+    const request = blobStore.get(hash);
+    request.onsuccess = () => {
+      const blob = request.result;
+      const refCount = (blob?.refCount || 0) + delta;
 
-      if (!database.objectStoreNames.contains(STORE_NAME)) {
-        const store = database.createObjectStore(STORE_NAME, { keyPath: 'key' });
-        store.createIndex('siteId', 'siteId', { unique: false });
-        store.createIndex('path', 'path', { unique: false });
+      if (refCount <= 0) {
+        if (blob) blobStore.delete(hash);
+      } else if (blob) {
+        blobStore.put({ ...blob, refCount });
+      } else if (contents.has(hash)) {
+        const { content, encoding, iv } = contents.get(hash);
+        blobStore.put({ hash, content, encoding, iv, size: content.size, refCount });
+      } else if (!missingBlobs.has(blobStore.transaction)) {
+        // Removed since the caller checked for it; a record pointing at it would be broken
+        missingBlobs.set(blobStore.transaction, hash);
+        blobStore.transaction.abort();
       }
     };
-  });
+  }
+}
+
+/**
+ * Adjust a site's file count and total size within an open transaction
+ * @param {IDBObjectStore} statsStore
+ * @param {string} siteId
+ * @param {number} fileDelta - Change in number of files
+ * @param {number} sizeDelta - Change in total bytes
+ */
+function adjustSiteStats(statsStore, siteId, fileDelta, sizeDelta) {
+  if (fileDelta === 0 && sizeDelta === 0) return;
+
+  const request = statsStore.get(siteId);
+  request.onsuccess = () => {
+    const stats = request.result || { siteId, fileCount: 0, totalSize: 0 };
+    putSiteStats(statsStore, siteId, stats.fileCount + fileDelta, stats.totalSize + sizeDelta);
+  };
+}
+
+/**
+ * Replace a site's stats within an open transaction; empty sites have none
+ */
+function putSiteStats(statsStore, siteId, fileCount, totalSize) {
+  if (fileCount <= 0) {
+    statsStore.delete(siteId);
+  } else {
+    statsStore.put({ siteId, fileCount, totalSize });
+  }
+}
+
+/**
+ * Attach stored blob content to manifest records within an open transaction.
+ * Content is still encoded; pass the records through decodeFiles afterwards.
+ * @param {IDBObjectStore} blobStore
+ * @param {Array} records - File records from the site_files store
+ * @returns {Array} The same records, filled in once the transaction completes
+ */
+function hydrateFiles(blobStore, records) {
+  for (const record of records) {
+    if (!record.hash) continue;
+    const request = blobStore.get(record.hash);
+    request.onsuccess = () => {
+      record.content = request.result?.content || null;
+      record.encoding = request.result?.encoding || 'identity';
+      record.iv = request.result?.iv;
+    };
+  }
+  return records;
 }
 
 /**
@@ -45,24 +396,52 @@ export async function initDB() {
 export async function storeFile(siteId, path, content, contentType) {
   await initDB();
 
+  const hash = await hashBlob(content);
+  // Sealing is skipped when the blob is already stored (another site has it)
+  const sealed = (await hasBlob(hash)) ? null : await sealContent(content, contentType);
+
+  try {
+    return await putFile(siteId, path, content, contentType, hash, sealed);
+  } catch (err) {
+    if (err.name !== 'MissingBlobError' || sealed) throw err;
+    // The blob was collected after we checked for it; store it after all
+    return putFile(siteId, path, content, contentType, hash, await sealContent(content, contentType));
+  }
+}
+
+/**
+ * Write a file record and its blob reference in one transaction
+ * @param {Object|null} sealed - Content for the blob, if it may not be stored yet
+ */
+function putFile(siteId, path, content, contentType, hash, sealed) {
   const key = `${siteId}/${path}`;
   const file = {
     key,
     siteId,
     path,
     contentType,
-    content,
+    hash,
     size: content.size,
     cachedAt: new Date().toISOString()
   };
 
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.put(file);
+    const tx = db.transaction([FILE_STORE, BLOB_STORE, STATS_STORE], 'readwrite');
+    const store = tx.objectStore(FILE_STORE);
+    const request = store.get(key);
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(file);
+    request.onsuccess = () => {
+      const existing = request.result;
+      const deltas = new Map([[hash, 1]]);
+      countRef(deltas, existing?.hash, -1);
+      applyRefDeltas(tx.objectStore(BLOB_STORE), deltas, sealed ? new Map([[hash, sealed]]) : new Map());
+      adjustSiteStats(tx.objectStore(STATS_STORE), siteId, existing ? 0 : 1, file.size - (existing?.size || 0));
+      store.put(file);
+    };
+
+    tx.oncomplete = () => resolve({ ...file, content });
+    tx.onerror = (event) => reject(event.target.error);
+    tx.onabort = () => reject(abortError(tx));
   });
 }
 
@@ -78,12 +457,19 @@ export async function getFile(siteId, path) {
   const key = `${siteId}/${path}`;
 
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
+    const tx = db.transaction([FILE_STORE, BLOB_STORE], 'readonly');
+    const store = tx.objectStore(FILE_STORE);
     const request = store.get(key);
+    let file = null;
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result || null);
+    request.onsuccess = () => {
+      if (request.result) {
+        [file] = hydrateFiles(tx.objectStore(BLOB_STORE), [request.result]);
+      }
+    };
+
+    tx.oncomplete = () => decodeFiles(file ? [file] : []).then(() => resolve(file), reject);
+    tx.onerror = (event) => reject(event.target.error);
   });
 }
 
@@ -96,10 +482,33 @@ export async function getFilesForSite(siteId) {
   await initDB();
 
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
+    const tx = db.transaction([FILE_STORE, BLOB_STORE], 'readonly');
+    const store = tx.objectStore(FILE_STORE);
     const index = store.index('siteId');
     const request = index.getAll(siteId);
+    let files = [];
+
+    request.onsuccess = () => {
+      files = hydrateFiles(tx.objectStore(BLOB_STORE), request.result || []);
+    };
+
+    tx.oncomplete = () => decodeFiles(files).then(resolve, reject);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Get the manifest for a site: file records without their content
+ * @param {string} siteId - The site ID
+ * @returns {Promise<Array>} Array of {path, hash, size, contentType, ...}
+ */
+export async function getManifest(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FILE_STORE, 'readonly');
+    const index = tx.objectStore(FILE_STORE).index('siteId');
+    const request = index.getAll(siteId);
 
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve(request.result || []);
@@ -108,33 +517,32 @@ export async function getFilesForSite(siteId) {
 
 /**
  * Delete all files for a site
+ * Blobs are only freed once no other site references them.
  * @param {string} siteId - The site ID
  */
 export async function deleteFilesForSite(siteId) {
   await initDB();
 
-  const files = await getFilesForSite(siteId);
-
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-
-    let completed = 0;
-    const total = files.length;
+    const tx = db.transaction([FILE_STORE, BLOB_STORE, STATS_STORE], 'readwrite');
+    const store = tx.objectStore(FILE_STORE);
+    const request = store.index('siteId').openCursor(IDBKeyRange.only(siteId));
+    const deltas = new Map();
 
-    if (total === 0) {
-      resolve();
-      return;
-    }
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        countRef(deltas, cursor.value.hash, -1);
+        cursor.delete();
+        cursor.continue();
+        return;
+      }
+      applyRefDeltas(tx.objectStore(BLOB_STORE), deltas);
+      tx.objectStore(STATS_STORE).delete(siteId);
+    };
 
-    files.forEach(file => {
-      const request = store.delete(file.key);
-      request.onsuccess = () => {
-        completed++;
-        if (completed === total) resolve();
-      };
-      request.onerror = () => reject(request.error);
-    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
   });
 }
 
@@ -144,27 +552,72 @@ export async function deleteFilesForSite(siteId) {
  * @returns {Promise<number>} Total bytes used
  */
 export async function getSiteStorageSize(siteId) {
-  const files = await getFilesForSite(siteId);
-  return files.reduce((total, file) => total + (file.size || 0), 0);
+  const stats = await getSiteStats(siteId);
+  return stats.totalSize;
+}
+
+/**
+ * Get the file count and total size of a site without reading its files
+ * @param {string} siteId - The site ID
+ * @returns {Promise<Object>} {fileCount, totalSize}
+ */
+export async function getSiteStats(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STATS_STORE, 'readonly');
+    const request = tx.objectStore(STATS_STORE).get(siteId);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const stats = request.result;
+      resolve({ fileCount: stats?.fileCount || 0, totalSize: stats?.totalSize || 0 });
+    };
+  });
+}
+
+/**
+ * Get the file count and total size of every site that has files
+ * @returns {Promise<Map<string, Object>>} siteId -> {fileCount, totalSize}
+ */
+export async function getAllSiteStats() {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STATS_STORE, 'readonly');
+    const request = tx.objectStore(STATS_STORE).getAll();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      resolve(new Map((request.result || []).map(stats => [stats.siteId, stats])));
+    };
+  });
 }
 
 /**
  * Get total storage used across all sites
+ * Shared blobs are only counted once.
  * @returns {Promise<number>} Total bytes used
  */
 export async function getTotalStorageSize() {
   await initDB();
 
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.getAll();
+    const tx = db.transaction(BLOB_STORE, 'readonly');
+    const index = tx.objectStore(BLOB_STORE).index('size');
+    // Key cursor: sizes are the index keys, so no blob is ever loaded
+    const request = index.openKeyCursor();
+    let total = 0;
 
     request.onerror = () => reject(request.error);
     request.onsuccess = () => {
-      const files = request.result || [];
-      const total = files.reduce((sum, file) => sum + (file.size || 0), 0);
-      resolve(total);
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(total);
+        return;
+      }
+      total += cursor.key;
+      cursor.continue();
     };
   });
 }
@@ -175,58 +628,1040 @@ export async function getTotalStorageSize() {
  * @returns {Promise<boolean>}
  */
 export async function isSiteCached(siteId) {
-  const files = await getFilesForSite(siteId);
-  return files.length > 0;
+  const stats = await getSiteStats(siteId);
+  return stats.fileCount > 0;
 }
 
 /**
- * Copy all files from one site to another
- * @param {string} fromSiteId - Source site ID
- * @param {string} toSiteId - Destination site ID
+ * List every site ID that has files stored, whether or not it is in the catalog
+ * @returns {Promise<Array<string>>}
  */
-export async function copyFilesToSite(fromSiteId, toSiteId) {
-  const files = await getFilesForSite(fromSiteId);
-  for (const file of files) {
-    await storeFile(toSiteId, file.path, file.content, file.contentType);
-  }
+export async function getStoredSiteIds() {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FILE_STORE, 'readonly');
+    // Unique key cursor: one step per site, no records loaded
+    const request = tx.objectStore(FILE_STORE).index('siteId').openKeyCursor(null, 'nextunique');
+    const siteIds = [];
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(siteIds);
+        return;
+      }
+      siteIds.push(cursor.key);
+      cursor.continue();
+    };
+  });
 }
 
 /**
- * Format bytes to human readable string
- * @param {number} bytes
- * @returns {string}
+ * Get the bytes that deleting some sites' files and versions would free.
+ * Blobs still referenced by any other site are not counted.
+ * @param {Array<string>} siteIds
+ * @returns {Promise<number>} Stored bytes
  */
-export function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(1))} ${sizes[i]}`;
+export async function getReclaimableSize(siteIds) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FILE_STORE, VERSION_STORE, BLOB_STORE], 'readonly');
+    const refs = new Map();
+    let pending = siteIds.length * 2;
+    let total = 0;
+
+    const measure = () => {
+      const blobStore = tx.objectStore(BLOB_STORE);
+      for (const [hash, count] of refs) {
+        const request = blobStore.get(hash);
+        request.onsuccess = () => {
+          const blob = request.result;
+          if (blob && blob.refCount <= count) total += blob.size || 0;
+        };
+      }
+    };
+
+    const collect = (request, hashesOf) => {
+      request.onsuccess = () => {
+        for (const record of request.result || []) {
+          for (const hash of hashesOf(record)) countRef(refs, hash, 1);
+        }
+        if (--pending === 0) measure();
+      };
+    };
+
+    for (const siteId of siteIds) {
+      collect(tx.objectStore(FILE_STORE).index('siteId').getAll(siteId), record => [record.hash]);
+      collect(tx.objectStore(VERSION_STORE).index('siteId').getAll(siteId),
+        snapshot => snapshot.files.map(file => file.hash));
+    }
+
+    tx.oncomplete = () => resolve(total);
+    tx.onerror = (event) => reject(event.target.error);
+  });
 }
 
 /**
- * Compute a content hash for a site's files
- * Hash is based on sorted file paths + sizes (fast) or full content (thorough)
+ * Get a site's manifest with the state of each file's stored blob, for
+ * integrity checks. Blob content is never decoded.
  * @param {string} siteId - The site ID
- * @returns {Promise<string>} Hex hash string
+ * @returns {Promise<Array>} Manifest records plus {blobMissing, storedSize}
  */
-export async function computeContentHash(siteId) {
-  const files = await getFilesForSite(siteId);
+export async function inspectSiteFiles(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FILE_STORE, BLOB_STORE], 'readonly');
+    const request = tx.objectStore(FILE_STORE).index('siteId').getAll(siteId);
+    const blobStore = tx.objectStore(BLOB_STORE);
+    let records = [];
+
+    request.onsuccess = () => {
+      records = request.result || [];
+      for (const record of records) {
+        record.blobMissing = true;
+        record.storedSize = 0;
+        if (!record.hash) continue;
+
+        const blobRequest = blobStore.get(record.hash);
+        blobRequest.onsuccess = () => {
+          const content = blobRequest.result?.content;
+          record.blobMissing = !content;
+          record.storedSize = content?.size || 0;
+        };
+      }
+    };
+
+    tx.oncomplete = () => resolve(records);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Rebuild a site's stats from its manifest, fixing any drift
+ * @param {string} siteId - The site ID
+ * @returns {Promise<Object>} {fileCount, totalSize}
+ */
+export async function recalculateSiteStats(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FILE_STORE, STATS_STORE], 'readwrite');
+    const request = tx.objectStore(FILE_STORE).index('siteId').getAll(siteId);
+    let stats = { fileCount: 0, totalSize: 0 };
+
+    request.onsuccess = () => {
+      const records = request.result || [];
+      stats = {
+        fileCount: records.length,
+        totalSize: records.reduce((sum, record) => sum + (record.size || 0), 0)
+      };
+      putSiteStats(tx.objectStore(STATS_STORE), siteId, stats.fileCount, stats.totalSize);
+    };
+
+    tx.oncomplete = () => resolve(stats);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Copy all files from one site to another
+ * Only manifest records are copied; the blobs gain a reference each.
+ * @param {string} fromSiteId - Source site ID
+ * @param {string} toSiteId - Destination site ID
+ * @param {Object} options - {remove: paths to delete from the destination
+ *   in the same transaction, for applying an update}
+ */
+export async function copyFilesToSite(fromSiteId, toSiteId, options = {}) {
+  const { remove = [] } = options;
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FILE_STORE, BLOB_STORE, STATS_STORE], 'readwrite');
+    const store = tx.objectStore(FILE_STORE);
+    const index = store.index('siteId');
+    const fromRequest = index.getAll(fromSiteId);
+    const toRequest = index.getAll(toSiteId);
+
+    toRequest.onsuccess = () => {
+      const existing = new Map((toRequest.result || []).map(f => [f.path, f]));
+      const deltas = new Map();
+      const cachedAt = new Date().toISOString();
+
+      for (const path of remove) {
+        const file = existing.get(path);
+        if (!file) continue;
+        countRef(deltas, file.hash, -1);
+        store.delete(file.key);
+        existing.delete(path);
+      }
+
+      for (const file of fromRequest.result || []) {
+        countRef(deltas, existing.get(file.path)?.hash, -1);
+        countRef(deltas, file.hash, 1);
+        const copy = {
+          ...file,
+          key: `${toSiteId}/${file.path}`,
+          siteId: toSiteId,
+          cachedAt
+        };
+        existing.set(file.path, copy);
+        store.put(copy);
+      }
+      applyRefDeltas(tx.objectStore(BLOB_STORE), deltas);
+
+      const merged = Array.from(existing.values());
+      putSiteStats(tx.objectStore(STATS_STORE), toSiteId, merged.length,
+        merged.reduce((sum, f) => sum + (f.size || 0), 0));
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+}
+
+/**
+ * Save the site's current files as a new version
+ * @param {string} siteId - The site ID
+ * @param {Object} details - {contentHash} of the files being saved
+ * @returns {Promise<Object>} The snapshot {siteId, version, createdAt, contentHash, files, ...}
+ */
+export async function createSnapshot(siteId, details = {}) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FILE_STORE, BLOB_STORE, VERSION_STORE], 'readwrite');
+    const filesRequest = tx.objectStore(FILE_STORE).index('siteId').getAll(siteId);
+    const versionsRequest = tx.objectStore(VERSION_STORE).index('siteId').getAll(siteId);
+    let snapshot = null;
+
+    versionsRequest.onsuccess = () => {
+      const files = (filesRequest.result || []).map(f => ({
+        path: f.path,
+        hash: f.hash,
+        size: f.size,
+        contentType: f.contentType
+      }));
+      const latest = Math.max(0, ...(versionsRequest.result || []).map(v => v.version));
+      const version = latest + 1;
+
+      snapshot = {
+        key: `${siteId}@${version}`,
+        siteId,
+        version,
+        createdAt: new Date().toISOString(),
+        contentHash: details.contentHash || '',
+        files,
+        fileCount: files.length,
+        totalSize: files.reduce((sum, f) => sum + (f.size || 0), 0)
+      };
+
+      const deltas = new Map();
+      files.forEach(f => countRef(deltas, f.hash, 1));
+      applyRefDeltas(tx.objectStore(BLOB_STORE), deltas);
+      tx.objectStore(VERSION_STORE).put(snapshot);
+    };
+
+    tx.oncomplete = () => resolve(snapshot);
+    tx.onerror = (event) => reject(event.target.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+}
+
+/**
+ * List a site's saved versions, newest first
+ * @param {string} siteId - The site ID
+ * @returns {Promise<Array>} Snapshots
+ */
+export async function getSnapshots(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(VERSION_STORE, 'readonly');
+    const request = tx.objectStore(VERSION_STORE).index('siteId').getAll(siteId);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const snapshots = request.result || [];
+      resolve(snapshots.sort((a, b) => b.version - a.version));
+    };
+  });
+}
+
+/**
+ * Make a saved version the site's current files
+ * @param {string} siteId - The site ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} The restored snapshot
+ */
+export async function restoreSnapshot(siteId, version) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FILE_STORE, BLOB_STORE, VERSION_STORE, STATS_STORE], 'readwrite');
+    const store = tx.objectStore(FILE_STORE);
+    const currentRequest = store.index('siteId').getAll(siteId);
+    const snapshotRequest = tx.objectStore(VERSION_STORE).get(`${siteId}@${version}`);
+    let snapshot = null;
+
+    snapshotRequest.onsuccess = () => {
+      snapshot = snapshotRequest.result;
+      if (!snapshot) {
+        tx.abort();
+        return;
+      }
+
+      const deltas = new Map();
+      const cachedAt = new Date().toISOString();
+
+      for (const file of currentRequest.result || []) {
+        store.delete(file.key);
+        countRef(deltas, file.hash, -1);
+      }
+      for (const file of snapshot.files) {
+        store.put({ ...file, key: `${siteId}/${file.path}`, siteId, cachedAt });
+        countRef(deltas, file.hash, 1);
+      }
+      applyRefDeltas(tx.objectStore(BLOB_STORE), deltas);
+      putSiteStats(tx.objectStore(STATS_STORE), siteId, snapshot.fileCount, snapshot.totalSize);
+    };
+
+    tx.oncomplete = () => resolve(snapshot);
+    tx.onabort = () => reject(abortError(tx) || new Error(`Version ${version} not found`));
+  });
+}
+
+/**
+ * Delete a saved version, freeing blobs nothing else references
+ * @param {string} siteId - The site ID
+ * @param {number} version - Version to delete
+ */
+export async function deleteSnapshot(siteId, version) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([BLOB_STORE, VERSION_STORE], 'readwrite');
+    const versions = tx.objectStore(VERSION_STORE);
+    const key = `${siteId}@${version}`;
+    const request = versions.get(key);
+
+    request.onsuccess = () => {
+      const snapshot = request.result;
+      if (!snapshot) return;
+
+      const deltas = new Map();
+      snapshot.files.forEach(f => countRef(deltas, f.hash, -1));
+      applyRefDeltas(tx.objectStore(BLOB_STORE), deltas);
+      versions.delete(key);
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Delete saved versions of a site, except the ones listed
+ * @param {string} siteId - The site ID
+ * @param {Array<number>} keep - Versions to keep
+ * @returns {Promise<number>} Number of versions deleted
+ */
+export async function pruneSnapshots(siteId, keep = []) {
+  const snapshots = await getSnapshots(siteId);
+  const pruned = snapshots.filter(s => !keep.includes(s.version));
+  for (const snapshot of pruned) {
+    await deleteSnapshot(siteId, snapshot.version);
+  }
+  return pruned.length;
+}
+
+/**
+ * Get local metadata for a site (pinning, origin, last browsed)
+ * @param {string} siteId - The site ID
+ * @returns {Promise<Object>} Metadata, with defaults if none is stored
+ */
+export async function getSiteMeta(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(META_STORE, 'readonly');
+    const request = tx.objectStore(META_STORE).get(siteId);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve({ ...defaultSiteMeta(siteId), ...request.result });
+  });
+}
+
+/**
+ * Get local metadata for every site that has any
+ * @returns {Promise<Map<string, Object>>} siteId -> metadata
+ */
+export async function getAllSiteMeta() {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(META_STORE, 'readonly');
+    const request = tx.objectStore(META_STORE).getAll();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const entries = (request.result || []).map(meta => [meta.siteId, meta]);
+      resolve(new Map(entries));
+    };
+  });
+}
+
+/**
+ * Merge updates into a site's local metadata
+ * @param {string} siteId - The site ID
+ * @param {Object} updates - e.g. {pinned: true} or {lastBrowsedAt: '...'}
+ * @returns {Promise<Object>} The updated metadata
+ */
+export async function updateSiteMeta(siteId, updates) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(META_STORE, 'readwrite');
+    const store = tx.objectStore(META_STORE);
+    const request = store.get(siteId);
+    let meta = null;
+
+    request.onsuccess = () => {
+      meta = { ...defaultSiteMeta(siteId), ...request.result, ...updates, siteId };
+      store.put(meta);
+    };
+
+    tx.oncomplete = () => resolve(meta);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Delete a site's local metadata
+ * @param {string} siteId - The site ID
+ */
+export async function deleteSiteMeta(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(META_STORE, 'readwrite');
+    const request = tx.objectStore(META_STORE).delete(siteId);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
+/**
+ * Metadata for a site that has none stored yet
+ */
+function defaultSiteMeta(siteId) {
+  return {
+    siteId,
+    pinned: false,
+    imported: false,
+    originSiteId: null,
+    lastBrowsedAt: null,
+    broken: false,
+    brokenReason: null,
+    sharing: 'public',
+    allowlist: []
+  };
+}
+
+/**
+ * Save the state of an import in progress
+ * @param {Object} state - {siteId, peerId, contentHash, files, completed, ...}
+ * @returns {Promise<Object>} The saved state
+ */
+export async function saveImportState(state) {
+  await initDB();
+
+  const record = { ...state, updatedAt: new Date().toISOString() };
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPORT_STORE, 'readwrite');
+    tx.objectStore(IMPORT_STORE).put(record);
+
+    tx.oncomplete = () => resolve(record);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Get the state of an unfinished import
+ * @param {string} siteId - The site being imported
+ * @returns {Promise<Object|null>}
+ */
+export async function getImportState(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(IMPORT_STORE, 'readonly').objectStore(IMPORT_STORE).get(siteId);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || null);
+  });
+}
+
+/**
+ * Get the state of every unfinished import
+ * @returns {Promise<Array>}
+ */
+export async function getAllImportStates() {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(IMPORT_STORE, 'readonly').objectStore(IMPORT_STORE).getAll();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+/**
+ * Forget an import: its state and any partly received files.
+ * Files already stored under the site ID are left to the caller.
+ * @param {string} siteId - The site being imported
+ */
+export async function deleteImportState(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([IMPORT_STORE, IMPORT_CHUNK_STORE], 'readwrite');
+    tx.objectStore(IMPORT_STORE).delete(siteId);
+
+    const request = tx.objectStore(IMPORT_CHUNK_STORE).index('siteId').openKeyCursor(IDBKeyRange.only(siteId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      tx.objectStore(IMPORT_CHUNK_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Key range covering every chunk of one partly received file
+ */
+function importChunkRange(siteId, path, from = 0, to = Infinity) {
+  return IDBKeyRange.bound([siteId, path, from], [siteId, path, to], false, to !== Infinity);
+}
+
+/**
+ * Save a chunk of a file being imported
+ * @param {string} siteId
+ * @param {string} path
+ * @param {number} offset - Byte offset of the chunk in the file
+ * @param {Uint8Array} bytes
+ */
+export async function saveImportChunk(siteId, path, offset, bytes) {
+  await initDB();
+
+  // Partial files are sealed like blobs in vault mode
+  let data = new Blob([bytes]);
+  let iv;
+  if (vaultConfig) {
+    ({ content: data, iv } = await encryptBlob(data));
+  }
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPORT_CHUNK_STORE, 'readwrite');
+    tx.objectStore(IMPORT_CHUNK_STORE).put({ siteId, path, offset, size: bytes.length, data, iv });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Get the chunk records of a partly received file, in order
+ */
+function getImportChunks(siteId, path) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPORT_CHUNK_STORE, 'readonly');
+    const request = tx.objectStore(IMPORT_CHUNK_STORE).getAll(importChunkRange(siteId, path));
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+/**
+ * Get how many bytes of a file have been received without a gap from a
+ * starting offset, so a range can be resumed from `from` plus that
+ * @param {string} siteId
+ * @param {string} path
+ * @param {number} from - Byte offset to count from
+ * @returns {Promise<number>}
+ */
+export async function getImportedBytes(siteId, path, from = 0) {
+  await initDB();
+
+  let received = 0;
+  for (const chunk of await getImportChunks(siteId, path)) {
+    if (chunk.offset < from) continue;
+    if (chunk.offset !== from + received) break;
+    received += chunk.size;
+  }
+  return received;
+}
+
+/**
+ * Assemble a partly received file from its saved chunks
+ * @param {string} siteId
+ * @param {string} path
+ * @param {string} contentType
+ * @returns {Promise<Blob>}
+ */
+export async function readImportedFile(siteId, path, contentType) {
+  await initDB();
+
+  const parts = [];
+  for (const chunk of await getImportChunks(siteId, path)) {
+    parts.push(chunk.iv ? await decryptBlob(chunk.data, chunk.iv) : chunk.data);
+  }
+  return new Blob(parts, { type: contentType });
+}
+
+/**
+ * Delete the saved chunks of a file being imported, or of part of it
+ * @param {string} siteId
+ * @param {string} path
+ * @param {number} from - Offset of the first chunk to delete
+ * @param {number} to - Offset where the chunks to delete end
+ */
+export async function deleteImportedFile(siteId, path, from = 0, to = Infinity) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPORT_CHUNK_STORE, 'readwrite');
+    tx.objectStore(IMPORT_CHUNK_STORE).delete(importChunkRange(siteId, path, from, to));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Save a transfer job
+ * @param {Object} job - {siteId, peerId, status, priority, ...}
+ * @returns {Promise<Object>} The saved job
+ */
+export async function saveTransferJob(job) {
+  await initDB();
+
+  const record = { ...job, updatedAt: new Date().toISOString() };
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRANSFER_JOB_STORE, 'readwrite');
+    tx.objectStore(TRANSFER_JOB_STORE).put(record);
+
+    tx.oncomplete = () => resolve(record);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Update fields of a transfer job
+ * @param {string} siteId - The site the job imports
+ * @param {Object} updates
+ * @returns {Promise<Object|null>} The updated job, null if there's no such job
+ */
+export async function updateTransferJob(siteId, updates) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRANSFER_JOB_STORE, 'readwrite');
+    const store = tx.objectStore(TRANSFER_JOB_STORE);
+    const request = store.get(siteId);
+    let job = null;
+
+    request.onsuccess = () => {
+      if (!request.result) return;
+      job = { ...request.result, ...updates, siteId, updatedAt: new Date().toISOString() };
+      store.put(job);
+    };
+
+    tx.oncomplete = () => resolve(job);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Get a transfer job
+ * @param {string} siteId - The site the job imports
+ * @returns {Promise<Object|null>}
+ */
+export async function getTransferJob(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(TRANSFER_JOB_STORE, 'readonly').objectStore(TRANSFER_JOB_STORE).get(siteId);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || null);
+  });
+}
+
+/**
+ * Get every transfer job
+ * @returns {Promise<Array>}
+ */
+export async function getAllTransferJobs() {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(TRANSFER_JOB_STORE, 'readonly').objectStore(TRANSFER_JOB_STORE).getAll();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+/**
+ * Delete a transfer job (its import data is left to the caller)
+ * @param {string} siteId - The site the job imports
+ */
+export async function deleteTransferJob(siteId) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRANSFER_JOB_STORE, 'readwrite');
+    tx.objectStore(TRANSFER_JOB_STORE).delete(siteId);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Add a finished transfer to the history, dropping the oldest entries
+ * beyond maxEntries
+ * @param {Object} entry - See stats.js
+ * @param {number} maxEntries
+ * @returns {Promise<Object>} The entry with its ID
+ */
+export async function addTransferHistory(entry, maxEntries) {
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRANSFER_HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(TRANSFER_HISTORY_STORE);
+    let record = null;
+
+    store.add(entry).onsuccess = (event) => {
+      record = { ...entry, id: event.target.result };
+    };
+
+    // IDs only grow, so the oldest entries come first
+    const count = store.count();
+    count.onsuccess = () => {
+      let excess = count.result - maxEntries;
+      if (excess <= 0) return;
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+
+    tx.oncomplete = () => resolve(record);
+    tx.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Get finished transfers, newest first
+ * @param {Object} options - {peerId, siteId} to only get one peer's or
+ *   site's transfers, and {limit}
+ * @returns {Promise<Array>}
+ */
+export async function getTransferHistory(options = {}) {
+  const { peerId, siteId, limit = Infinity } = options;
+  await initDB();
+
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(TRANSFER_HISTORY_STORE, 'readonly').objectStore(TRANSFER_HISTORY_STORE);
+    const source = peerId ? store.index('peerId') : siteId ? store.index('siteId') : store;
+    const request = source.openCursor(peerId ?? siteId ?? null, 'prev');
+    const entries = [];
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || entries.length >= limit) {
+        resolve(entries);
+        return;
+      }
+      if (!siteId || cursor.value.siteId === siteId) entries.push(cursor.value);
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Load the vault config, if vault mode was ever enabled
+ */
+async function loadVaultConfig() {
+  vaultConfig = await new Promise((resolve, reject) => {
+    const request = db.transaction(VAULT_STORE, 'readonly').objectStore(VAULT_STORE).get(VAULT_CONFIG_ID);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || null);
+  });
+}
+
+/**
+ * Get vault mode status
+ * @returns {Object} {enabled, unlocked}
+ */
+export function getVaultStatus() {
+  return { enabled: !!vaultConfig, unlocked: !!vaultKey };
+}
+
+/**
+ * Get the unlocked vault key (to hand to the service worker)
+ * @returns {CryptoKey|null}
+ */
+export function getVaultKey() {
+  return vaultKey;
+}
+
+/**
+ * Check whether an error came from reading or writing while the vault is locked
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isVaultLockedError(error) {
+  return error?.name === 'VaultLockedError';
+}
+
+/**
+ * Get the vault key or throw if the vault is locked
+ */
+function requireVaultKey() {
+  if (!vaultKey) {
+    const error = new Error('Vault is locked');
+    error.name = 'VaultLockedError';
+    throw error;
+  }
+  return vaultKey;
+}
+
+/**
+ * Derive the AES-GCM vault key from a passphrase
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a blob under the vault key
+ * @returns {Promise<Object>} {content, iv}
+ */
+async function encryptBlob(blob) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, requireVaultKey(), await blob.arrayBuffer());
+  return { content: new Blob([data]), iv };
+}
+
+/**
+ * Decrypt a blob encrypted under the vault key
+ */
+async function decryptBlob(blob, iv) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, requireVaultKey(), await blob.arrayBuffer());
+  return new Blob([data]);
+}
+
+/**
+ * Turn on vault mode and encrypt everything already stored
+ * @param {string} passphrase
+ */
+export async function enableVault(passphrase) {
+  await initDB();
+  if (vaultConfig) throw new Error('Vault is already enabled');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  // Encrypted known text lets unlockVault tell a wrong passphrase apart
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const check = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(VAULT_CHECK_TEXT));
+
+  const config = { id: VAULT_CONFIG_ID, salt, iterations: PBKDF2_ITERATIONS, checkIv: iv, check };
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(VAULT_STORE, 'readwrite');
+    tx.objectStore(VAULT_STORE).put(config);
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+
+  vaultConfig = config;
+  vaultKey = key;
+  await resealBlobs(true);
+}
+
+/**
+ * Unlock the vault for this session
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey>} The vault key
+ */
+export async function unlockVault(passphrase) {
+  await initDB();
+  if (!vaultConfig) throw new Error('Vault is not enabled');
+
+  const { salt, iterations, checkIv, check } = vaultConfig;
+  const key = await deriveVaultKey(passphrase, salt, iterations);
+
+  try {
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv: checkIv }, key, check);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+
+  vaultKey = key;
+
+  // Finish encrypting anything an interrupted enableVault left behind
+  resealBlobs(true).catch(err => console.warn('[Persistence] Vault reseal failed:', err));
+  return key;
+}
+
+/**
+ * Forget the vault key; encrypted content is unreadable until unlocked again
+ */
+export function lockVault() {
+  vaultKey = null;
+}
+
+/**
+ * Turn off vault mode, decrypting everything stored (vault must be unlocked)
+ */
+export async function disableVault() {
+  await initDB();
+  if (!vaultConfig) return;
+  requireVaultKey();
+
+  // New writes go in plaintext from here on; the key stays for decrypting
+  const config = vaultConfig;
+  vaultConfig = null;
+  try {
+    await resealBlobs(false);
+  } catch (error) {
+    vaultConfig = config;
+    throw error;
+  }
+
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(VAULT_STORE, 'readwrite');
+    tx.objectStore(VAULT_STORE).delete(VAULT_CONFIG_ID);
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+  });
+
+  vaultKey = null;
+}
+
+/**
+ * Encrypt or decrypt every stored blob, one at a time.
+ * Each write re-reads the record so concurrent ref count changes survive.
+ * @param {boolean} encrypt - true to encrypt plaintext blobs, false to decrypt
+ */
+async function resealBlobs(encrypt) {
+  const hashes = await new Promise((resolve, reject) => {
+    const request = db.transaction(BLOB_STORE, 'readonly').objectStore(BLOB_STORE).getAllKeys();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+
+  let changed = 0;
+  for (const hash of hashes) {
+    const blob = await new Promise((resolve, reject) => {
+      const request = db.transaction(BLOB_STORE, 'readonly').objectStore(BLOB_STORE).get(hash);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+    if (!blob || !!blob.iv === encrypt) continue;
+
+    const resealed = encrypt
+      ? await encryptBlob(blob.content)
+      : { content: await decryptBlob(blob.content, blob.iv), iv: undefined };
+
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(BLOB_STORE, 'readwrite');
+      const store = tx.objectStore(BLOB_STORE);
+      const request = store.get(hash);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, ...resealed, size: resealed.content.size });
+        }
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = (event) => reject(event.target.error);
+    });
+    changed++;
+  }
+
+  if (changed > 0) {
+    console.log(`[Persistence] ${encrypt ? 'Encrypted' : 'Decrypted'} ${changed} blobs`);
+  }
+}
+
+/**
+ * Format bytes to human readable string
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(1))} ${sizes[i]}`;
+}
+
+/**
+ * Compute a content hash for a site's files
+ * Merkle-style digest: the SHA-256 of the sorted (path, file hash) list,
+ * so any change to a file's bytes or name changes the site digest.
+ * @param {string} siteId - The site ID
+ * @returns {Promise<string>} Hex hash string
+ */
+export async function computeContentHash(siteId) {
+  return computeManifestHash(await getManifest(siteId));
+}
+
+/**
+ * Compute the content hash of a file list without storing it, e.g. to check
+ * a peer's file list against the catalog before fetching anything
+ * @param {Array} files - [{path, hash}]
+ * @returns {Promise<string>} Hex hash string
+ */
+export async function computeManifestHash(files) {
   if (files.length === 0) return '';
 
-  // Sort files by path for deterministic ordering
-  files.sort((a, b) => a.path.localeCompare(b.path));
+  // Sort by code point so every peer derives the same order
+  const sorted = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
 
-  // Build a manifest: path + size for each file
-  // This is fast and catches most changes without reading all content
-  const manifest = files.map(f => `${f.path}:${f.size}`).join('\n');
+  // One leaf per file: path and digest, NUL-separated (paths can't contain NUL)
+  const manifest = sorted.map(f => `${f.path}\0${f.hash}`).join('\n');
 
   // Hash the manifest using SubtleCrypto
   const encoder = new TextEncoder();
   const data = encoder.encode(manifest);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
 
-  // Convert to hex string
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  return toHex(hashBuffer);
 }
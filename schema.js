@@ -0,0 +1,158 @@
+/**
+ * Content database schema, shared by the app (persistence.js) and the
+ * service worker (sw.js) so both contexts open the same version with the
+ * same stores, whichever of them opens it first
+ */
+
+export const DB_NAME = 'scrap_yard_content';
+
+export const FILE_STORE = 'site_files';
+export const BLOB_STORE = 'blobs';
+export const META_STORE = 'site_meta';
+export const VERSION_STORE = 'site_versions';
+export const STATS_STORE = 'site_stats';
+export const VAULT_STORE = 'vault';
+export const IMPORT_STORE = 'imports';
+export const IMPORT_CHUNK_STORE = 'import_chunks';
+export const TRANSFER_JOB_STORE = 'transfer_jobs';
+export const TRANSFER_HISTORY_STORE = 'transfer_history';
+
+/**
+ * Upgrade steps, in order. Step N takes the database from version N - 1
+ * to version N; a fresh database runs all of them. Steps run inside the
+ * versionchange transaction, so they must stay synchronous (no awaits).
+ * Never edit a released step - append a new one instead.
+ */
+const UPGRADES = [
+  // 1: per-site file records
+  (db) => {
+    const files = db.createObjectStore(FILE_STORE, { keyPath: 'key' });
+    files.createIndex('siteId', 'siteId', { unique: false });
+    files.createIndex('path', 'path', { unique: false });
+  },
+
+  // 2: content-addressed blobs (file content moves over lazily, see persistence.js)
+  (db) => {
+    db.createObjectStore(BLOB_STORE, { keyPath: 'hash' });
+  },
+
+  // 3: local-only site metadata (pinning, origin, last browsed)
+  (db) => {
+    db.createObjectStore(META_STORE, { keyPath: 'siteId' });
+  },
+
+  // 4: version snapshots
+  (db) => {
+    const versions = db.createObjectStore(VERSION_STORE, { keyPath: 'key' });
+    versions.createIndex('siteId', 'siteId', { unique: false });
+  },
+
+  // 5: blob size index and per-site stats, backfilled from existing files
+  (db, tx) => {
+    tx.objectStore(BLOB_STORE).createIndex('size', 'size', { unique: false });
+    db.createObjectStore(STATS_STORE, { keyPath: 'siteId' });
+    backfillSiteStats(tx.objectStore(FILE_STORE), tx.objectStore(STATS_STORE));
+  },
+
+  // 6: the service worker used to create site_files without the path index
+  (db, tx) => {
+    const files = tx.objectStore(FILE_STORE);
+    if (!files.indexNames.contains('path')) {
+      files.createIndex('path', 'path', { unique: false });
+    }
+  },
+
+  // 7: vault settings (salt and passphrase check, never the key)
+  (db) => {
+    db.createObjectStore(VAULT_STORE, { keyPath: 'id' });
+  },
+
+  // 8: unfinished imports and the chunks of files received so far
+  (db) => {
+    db.createObjectStore(IMPORT_STORE, { keyPath: 'siteId' });
+    const chunks = db.createObjectStore(IMPORT_CHUNK_STORE, { keyPath: ['siteId', 'path', 'offset'] });
+    chunks.createIndex('siteId', 'siteId', { unique: false });
+  },
+
+  // 9: the transfer queue (import jobs and their status)
+  (db) => {
+    db.createObjectStore(TRANSFER_JOB_STORE, { keyPath: 'siteId' });
+  },
+
+  // 10: finished file transfers, in both directions
+  (db) => {
+    const history = db.createObjectStore(TRANSFER_HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+    history.createIndex('peerId', 'peerId', { unique: false });
+    history.createIndex('siteId', 'siteId', { unique: false });
+  }
+];
+
+export const DB_VERSION = UPGRADES.length;
+
+/**
+ * Open the content database, running any pending upgrade steps
+ * @param {Object} options
+ * @param {function} options.onVersionChange - Called after the connection is
+ *   closed because another context is upgrading to a newer version
+ * @param {function} options.onBlocked - Called when our upgrade has to wait
+ *   for another context to close an old connection
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openContentDB(options = {}) {
+  const { onVersionChange, onBlocked } = options;
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = (event) => {
+      console.warn(`[Schema] Upgrade to v${event.newVersion} blocked by an open connection`);
+      onBlocked?.(event);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const tx = request.transaction;
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        UPGRADES[version - 1](db, tx);
+      }
+      console.log(`[Schema] Upgraded ${DB_NAME} from v${event.oldVersion} to v${DB_VERSION}`);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Let a newer version upgrade instead of blocking it
+      db.onversionchange = (event) => {
+        db.close();
+        console.log(`[Schema] Closed connection for upgrade to v${event.newVersion}`);
+        onVersionChange?.(event);
+      };
+
+      resolve(db);
+    };
+  });
+}
+
+/**
+ * Compute per-site stats for files stored before stats were tracked.
+ * Runs inside the upgrade transaction, one cursor step at a time.
+ */
+function backfillSiteStats(fileStore, statsStore) {
+  const stats = new Map();
+  const request = fileStore.openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      const { siteId, size } = cursor.value;
+      const entry = stats.get(siteId) || { siteId, fileCount: 0, totalSize: 0 };
+      entry.fileCount++;
+      entry.totalSize += size || 0;
+      stats.set(siteId, entry);
+      cursor.continue();
+      return;
+    }
+    stats.forEach(entry => statsStore.put(entry));
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Local settings (per device, not synced)
+ * Persisted to localStorage as a single JSON object
+ */
+
+const SETTINGS_KEY = 'scrap_yard_settings';
+
+const DEFAULTS = {
+  // Which sites may be evicted to make room (see EVICTION_POLICIES in storage.js)
+  evictionPolicy: 'lru-imported',
+  // Remove files left behind by failed imports when the app starts
+  autoCollectGarbage: false,
+  // Most file requests in flight per import (see transfer.js)
+  transferConcurrency: 6,
+  // Grow and shrink the number in flight with measured throughput, up to the maximum
+  adaptiveConcurrency: true,
+  // Upload and download limits in KB/s, for all peers together and for each peer (0 = no limit)
+  uploadLimit: 0,
+  peerUploadLimit: 0,
+  downloadLimit: 0,
+  peerDownloadLimit: 0,
+  // Most files sent to other peers at once; more requests get a busy reply
+  maxServedFiles: 4
+};
+
+let settings = null;
+let changeCallbacks = [];
+
+/**
+ * Load settings from localStorage, falling back to defaults
+ */
+function load() {
+  if (settings) return settings;
+
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (err) {
+    console.warn('[Settings] Ignoring unreadable settings:', err);
+  }
+
+  settings = { ...DEFAULTS, ...stored };
+  return settings;
+}
+
+/**
+ * Get all settings
+ * @returns {Object}
+ */
+export function getSettings() {
+  return { ...load() };
+}
+
+/**
+ * Get a single setting
+ * @param {string} key
+ * @returns {*}
+ */
+export function getSetting(key) {
+  return load()[key];
+}
+
+/**
+ * Update one or more settings and persist them
+ * @param {Object} updates
+ * @returns {Object} The updated settings
+ */
+export function updateSettings(updates) {
+  settings = { ...load(), ...updates };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  changeCallbacks.forEach(cb => cb(getSettings()));
+  return getSettings();
+}
+
+/**
+ * Subscribe to settings changes
+ * @param {function} callback
+ * @returns {function} Unsubscribe function
+ */
+export function onSettingsChange(callback) {
+  changeCallbacks.push(callback);
+  return () => {
+    changeCallbacks = changeCallbacks.filter(cb => cb !== callback);
+  };
+}
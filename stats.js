@@ -0,0 +1,245 @@
+/**
+ * Transfer statistics
+ * Counts the bytes sent to and received from each peer and for each site
+ * this session, measures current throughput, estimates how long running
+ * imports have left, and keeps a history of finished file transfers
+ */
+
+import { addTransferHistory } from './persistence.js';
+
+// Throughput is the average over this window
+const RATE_WINDOW = 5000;
+
+// Bytes counted closer together than this share a sample
+const SAMPLE_INTERVAL = 250;
+
+// Finished transfers kept in the history, oldest dropped first
+const MAX_HISTORY = 1000;
+
+// Stats change callbacks run at most this often
+const NOTIFY_INTERVAL = 1000;
+
+// Session totals by peer ID and by site ID: {sent, received, sendMeter, receiveMeter}
+const peerStats = new Map();
+const siteStats = new Map();
+
+// Imports running now, by site ID: {totalBytes, receivedBytes, startedAt}
+const importStats = new Map();
+
+// Finished transfer callbacks
+let transferCallbacks = [];
+
+// Stats change callbacks, and the timer that batches them
+let statsCallbacks = [];
+let notifyTimer = null;
+let lastActivity = 0;
+
+/**
+ * Create a throughput meter over the last RATE_WINDOW
+ * @returns {Object} {add(bytes), rate() - bytes/s}
+ */
+function createMeter() {
+  const samples = [];
+
+  function prune(now) {
+    while (samples.length > 0 && samples[0].at <= now - RATE_WINDOW) samples.shift();
+  }
+
+  return {
+    add(bytes) {
+      const now = Date.now();
+      prune(now);
+      const last = samples[samples.length - 1];
+      if (last && now - last.at < SAMPLE_INTERVAL) {
+        last.bytes += bytes;
+      } else {
+        samples.push({ at: now, bytes });
+      }
+    },
+    rate() {
+      prune(Date.now());
+      const bytes = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+      return bytes / (RATE_WINDOW / 1000);
+    }
+  };
+}
+
+/**
+ * Get the session totals for a peer or site, creating them on first use
+ */
+function getEntry(map, id) {
+  let entry = map.get(id);
+  if (!entry) {
+    entry = { sent: 0, received: 0, sendMeter: createMeter(), receiveMeter: createMeter() };
+    map.set(id, entry);
+  }
+  return entry;
+}
+
+/**
+ * Count bytes of a file sent to a peer
+ * @param {string} peerId
+ * @param {string} siteId - Our site the file belongs to
+ * @param {number} bytes
+ */
+export function recordSent(peerId, siteId, bytes) {
+  for (const entry of [getEntry(peerStats, peerId), getEntry(siteStats, siteId)]) {
+    entry.sent += bytes;
+    entry.sendMeter.add(bytes);
+  }
+  scheduleNotify();
+}
+
+/**
+ * Count bytes of a file received from a peer
+ * @param {string} peerId
+ * @param {string} siteId - The site being imported
+ * @param {number} bytes
+ */
+export function recordReceived(peerId, siteId, bytes) {
+  for (const entry of [getEntry(peerStats, peerId), getEntry(siteStats, siteId)]) {
+    entry.received += bytes;
+    entry.receiveMeter.add(bytes);
+  }
+
+  const running = importStats.get(siteId);
+  if (running) running.receivedBytes += bytes;
+  scheduleNotify();
+}
+
+/**
+ * Start tracking an import, for its ETA
+ * @param {string} siteId
+ * @param {number} totalBytes - Size of everything the import fetches
+ * @param {number} receivedBytes - How much of it an earlier attempt already got
+ */
+export function startImportStats(siteId, totalBytes, receivedBytes = 0) {
+  importStats.set(siteId, { totalBytes, receivedBytes, startedAt: Date.now() });
+  scheduleNotify();
+}
+
+/**
+ * Stop tracking an import that finished or stopped
+ * @param {string} siteId
+ */
+export function endImportStats(siteId) {
+  importStats.delete(siteId);
+  scheduleNotify();
+}
+
+/**
+ * Get the progress of a running import
+ * @param {string} siteId
+ * @returns {Object|null} {totalBytes, receivedBytes, rate, eta}: rate in
+ *   bytes/s, eta in seconds (null while nothing is arriving)
+ */
+export function getImportStats(siteId) {
+  const running = importStats.get(siteId);
+  if (!running) return null;
+
+  const rate = getEntry(siteStats, siteId).receiveMeter.rate();
+  const receivedBytes = Math.min(running.receivedBytes, running.totalBytes);
+  const left = running.totalBytes - receivedBytes;
+  return {
+    totalBytes: running.totalBytes,
+    receivedBytes,
+    rate,
+    eta: rate > 0 ? Math.ceil(left / rate) : null
+  };
+}
+
+/**
+ * Get this session's transfer totals with a peer
+ * @param {string} peerId
+ * @returns {Object} {sent, received, sendRate, receiveRate}: bytes and bytes/s
+ */
+export function getPeerTransferStats(peerId) {
+  return summarize(peerStats.get(peerId));
+}
+
+/**
+ * Get this session's transfer totals for a site
+ * @param {string} siteId
+ * @returns {Object} {sent, received, sendRate, receiveRate}: bytes and bytes/s
+ */
+export function getSiteTransferStats(siteId) {
+  return summarize(siteStats.get(siteId));
+}
+
+/**
+ * Turn session totals into plain numbers
+ */
+function summarize(entry) {
+  if (!entry) return { sent: 0, received: 0, sendRate: 0, receiveRate: 0 };
+  return {
+    sent: entry.sent,
+    received: entry.received,
+    sendRate: entry.sendMeter.rate(),
+    receiveRate: entry.receiveMeter.rate()
+  };
+}
+
+/**
+ * Add a finished file transfer to the history. Failures are only logged;
+ * losing an entry never fails the transfer.
+ * @param {Object} transfer - {direction: 'sent' | 'received', peerId,
+ *   siteId, path, bytes, startedAt (ms)}
+ */
+export function recordTransfer(transfer) {
+  const finishedAt = Date.now();
+  const duration = Math.max(finishedAt - transfer.startedAt, 1);
+  const entry = {
+    ...transfer,
+    startedAt: new Date(transfer.startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    duration,
+    averageSpeed: Math.round(transfer.bytes / (duration / 1000))
+  };
+
+  addTransferHistory(entry, MAX_HISTORY)
+    .then(saved => {
+      transferCallbacks.forEach(cb => cb(saved));
+      scheduleNotify();
+    })
+    .catch(err => console.warn('[Stats] Failed to save transfer history:', err));
+}
+
+/**
+ * Subscribe to finished transfers as they're added to the history
+ * @param {function} callback - Called with the history entry
+ * @returns {function} Unsubscribe function
+ */
+export function onTransferRecorded(callback) {
+  transferCallbacks.push(callback);
+  return () => {
+    transferCallbacks = transferCallbacks.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Subscribe to stats changes
+ * @param {function} callback - Called with no arguments, at most once per
+ *   NOTIFY_INTERVAL, and until rates have fallen back to zero
+ * @returns {function} Unsubscribe function
+ */
+export function onStatsChange(callback) {
+  statsCallbacks.push(callback);
+  return () => {
+    statsCallbacks = statsCallbacks.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Notify stats callbacks soon. Keeps notifying while there's been
+ * activity within RATE_WINDOW, so shown rates wind down to zero.
+ */
+function scheduleNotify() {
+  lastActivity = Date.now();
+  if (notifyTimer) return;
+
+  const tick = () => {
+    statsCallbacks.forEach(cb => cb());
+    notifyTimer = Date.now() - lastActivity <= RATE_WINDOW ? setTimeout(tick, NOTIFY_INTERVAL) : null;
+  };
+  notifyTimer = setTimeout(tick, NOTIFY_INTERVAL);
+}
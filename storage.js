@@ -0,0 +1,214 @@
+/**
+ * Storage quota management
+ * Wraps the StorageManager API around persistence.js: reports usage,
+ * requests persistent storage, and evicts sites to make room
+ */
+
+import {
+  getTotalStorageSize,
+  deleteFilesForSite,
+  pruneSnapshots,
+  getAllSiteMeta,
+  deleteSiteMeta,
+  getStoredSiteIds,
+  getAllSiteStats,
+  getReclaimableSize,
+  getAllImportStates
+} from './persistence.js';
+import { getMySites, removeSite, isSyncAvailable } from './catalog.js';
+import { getSetting } from './settings.js';
+
+// Which sites may be evicted, and in what order
+export const EVICTION_POLICIES = {
+  'none': 'Never evict sites',
+  'lru-imported': 'Imported sites, least recently browsed first',
+  'largest-imported': 'Imported sites, largest first',
+  'lru-all': 'Any site, least recently browsed first'
+};
+
+// Headroom kept free so IndexedDB bookkeeping doesn't hit the quota
+const SAFETY_MARGIN = 10 * 1024 * 1024;
+
+/**
+ * Get storage usage for the origin and for stored site content
+ * @returns {Promise<Object>} {usage, quota, available, contentSize, persisted}
+ *   usage/quota/available are null when the browser can't estimate
+ */
+export async function getStorageEstimate() {
+  const contentSize = await getTotalStorageSize();
+
+  if (!navigator.storage?.estimate) {
+    return { usage: null, quota: null, available: null, contentSize, persisted: false };
+  }
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = await isStoragePersisted();
+
+  return {
+    usage,
+    quota,
+    available: Math.max(0, quota - usage),
+    contentSize,
+    persisted
+  };
+}
+
+/**
+ * Check whether the browser has granted persistent storage
+ * @returns {Promise<boolean>}
+ */
+export async function isStoragePersisted() {
+  return (await navigator.storage?.persisted?.()) ?? false;
+}
+
+/**
+ * Ask the browser not to clear our storage under pressure
+ * @returns {Promise<boolean>} Whether storage is now persistent
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  if (await isStoragePersisted()) return true;
+
+  const granted = await navigator.storage.persist();
+  console.log(`[Storage] Persistent storage ${granted ? 'granted' : 'denied'}`);
+  return granted;
+}
+
+/**
+ * Check whether a number of bytes will fit in the remaining quota
+ * @param {number} bytes
+ * @returns {Promise<Object>} {fits, available, shortfall}
+ */
+export async function checkSpaceFor(bytes) {
+  const { available } = await getStorageEstimate();
+
+  // Without an estimate, let the write go ahead and surface quota errors
+  if (available === null) {
+    return { fits: true, available: null, shortfall: 0 };
+  }
+
+  const shortfall = Math.max(0, bytes + SAFETY_MARGIN - available);
+  return { fits: shortfall === 0, available, shortfall };
+}
+
+/**
+ * List sites that may be evicted under a policy, in eviction order.
+ * Pinned sites are never candidates.
+ * @param {string} policy - Key of EVICTION_POLICIES
+ * @param {Object} options - {exclude: siteIds to keep}
+ * @returns {Promise<Array>} Site rows
+ */
+export async function getEvictionCandidates(policy = getSetting('evictionPolicy'), options = {}) {
+  const { exclude = [] } = options;
+  if (!policy || policy === 'none') return [];
+
+  const sites = await getMySites();
+  const metas = await getAllSiteMeta();
+  const metaFor = (site) => metas.get(site.id) || {};
+
+  const candidates = sites.filter(site => {
+    const meta = metaFor(site);
+    if (meta.pinned || exclude.includes(site.id)) return false;
+    return policy === 'lru-all' || meta.imported;
+  });
+
+  if (policy === 'largest-imported') {
+    candidates.sort((a, b) => (b.file_size || 0) - (a.file_size || 0));
+  } else {
+    // Never-browsed sites fall back to when they were added
+    const lastUsed = (site) => metaFor(site).lastBrowsedAt || site.added_at || '';
+    candidates.sort((a, b) => lastUsed(a).localeCompare(lastUsed(b)));
+  }
+
+  return candidates;
+}
+
+/**
+ * Pick the sites to evict to free a number of bytes.
+ * Freed space is an upper bound: blobs shared with other sites stay.
+ * @param {number} bytes - Bytes to free
+ * @param {Object} options - Passed to getEvictionCandidates, plus {policy}
+ * @returns {Promise<Object>} {sites, freed}
+ */
+export async function planEviction(bytes, options = {}) {
+  const candidates = await getEvictionCandidates(options.policy, options);
+  const sites = [];
+  let freed = 0;
+
+  for (const site of candidates) {
+    if (freed >= bytes) break;
+    sites.push(site);
+    freed += site.file_size || 0;
+  }
+
+  return { sites, freed };
+}
+
+/**
+ * Evict a site: delete its files, saved versions, local metadata and catalog row
+ * @param {string} siteId
+ */
+export async function evictSite(siteId) {
+  await deleteFilesForSite(siteId);
+  await pruneSnapshots(siteId);
+  await deleteSiteMeta(siteId);
+  await removeSite(siteId);
+  console.log(`[Storage] Evicted site ${siteId}`);
+}
+
+/**
+ * Find stored files whose site ID has no row I own in the catalog, e.g.
+ * left under a peer's site ID by an import that failed or timed out
+ * @param {Object} options - {exclude: siteIds to keep, such as imports in progress}
+ * @returns {Promise<Object>} {sites: [{siteId, fileCount, totalSize}], reclaimable}
+ */
+export async function findOrphanedSites(options = {}) {
+  const { exclude = [] } = options;
+
+  // Without a catalog every stored site would look orphaned
+  if (!isSyncAvailable()) throw new Error('Catalog not initialized');
+
+  // Unfinished imports keep their files until they resume or are discarded
+  const owned = new Set((await getMySites()).map(site => site.id));
+  const importing = new Set((await getAllImportStates()).map(state => state.siteId));
+  const stats = await getAllSiteStats();
+  const sites = (await getStoredSiteIds())
+    .filter(siteId => !owned.has(siteId) && !importing.has(siteId) && !exclude.includes(siteId))
+    .map(siteId => ({
+      siteId,
+      fileCount: stats.get(siteId)?.fileCount || 0,
+      totalSize: stats.get(siteId)?.totalSize || 0
+    }));
+
+  const reclaimable = await getReclaimableSize(sites.map(site => site.siteId));
+  return { sites, reclaimable };
+}
+
+/**
+ * Delete orphaned files, with any versions and local metadata under their site IDs
+ * @param {Object} options - Passed to findOrphanedSites
+ * @returns {Promise<Object>} {sites, freed}
+ */
+export async function collectGarbage(options = {}) {
+  const { sites, reclaimable } = await findOrphanedSites(options);
+
+  for (const { siteId } of sites) {
+    await deleteFilesForSite(siteId);
+    await pruneSnapshots(siteId);
+    await deleteSiteMeta(siteId);
+  }
+
+  if (sites.length > 0) {
+    console.log(`[Storage] Removed ${sites.length} orphaned sites, freed ${reclaimable} bytes`);
+  }
+  return { sites, freed: reclaimable };
+}
+
+/**
+ * Check whether an error came from exceeding the storage quota
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError';
+}
@@ -1,11 +1,15 @@
 /**
  * Service Worker for Scrap Yard
  * Intercepts requests to /local/{siteId}/ and serves from IndexedDB
+ * Registered as a module worker so it shares schema.js with the app
  */
 
-const CACHE_NAME = 'scrap-yard-v2';
-const DB_NAME = 'scrap_yard_content';
-const STORE_NAME = 'site_files';
+import { openContentDB, FILE_STORE, BLOB_STORE, VERSION_STORE } from './schema.js';
+
+const CACHE_NAME = 'scrap-yard-v5';
+
+// How long to wait for an open app tab to hand over the vault key
+const VAULT_KEY_TIMEOUT = 2000;
 
 // Files to cache for the app itself
 const APP_FILES = [
@@ -15,6 +19,11 @@ const APP_FILES = [
   '/app.js',
   '/persistence.js',
   '/catalog.js',
+  '/schema.js',
+  '/storage.js',
+  '/settings.js',
+  '/integrity.js',
+  '/stats.js',
   '/sw.js'
 ];
 
@@ -42,36 +51,55 @@ self.addEventListener('activate', (event) => {
   self.clients.claim();
 });
 
+let dbPromise = null;
+
+// Vault key handed over by the app while the vault is unlocked (memory only)
+let vaultKey = null;
+let vaultKeyWaiters = [];
+
 /**
- * Open IndexedDB connection
+ * Open (or reuse) the IndexedDB connection
+ * The connection is dropped when a newer app version upgrades the schema.
  */
 function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
-        store.createIndex('siteId', 'siteId', { unique: false });
+  if (!dbPromise) {
+    dbPromise = openContentDB({
+      onVersionChange: () => {
+        dbPromise = null;
       }
-    };
-  });
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
 }
 
 /**
- * Get a file from IndexedDB
+ * Get a file from IndexedDB, resolving its content from the blob store
+ * (records migrated from version 1 may still carry content inline)
  */
 async function getFileFromDB(siteId, path) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
+    const tx = db.transaction([FILE_STORE, BLOB_STORE], 'readonly');
+    const store = tx.objectStore(FILE_STORE);
     const key = `${siteId}/${path}`;
     const request = store.get(key);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
+    let file;
+    request.onsuccess = () => {
+      file = request.result;
+      if (file?.hash) {
+        const blobRequest = tx.objectStore(BLOB_STORE).get(file.hash);
+        blobRequest.onsuccess = () => {
+          file.content = blobRequest.result?.content || null;
+          file.encoding = blobRequest.result?.encoding;
+          file.iv = blobRequest.result?.iv;
+        };
+      }
+    };
+    tx.oncomplete = () => resolve(file);
+    tx.onerror = (event) => reject(event.target.error);
   });
 }
 
@@ -81,8 +109,8 @@ async function getFileFromDB(siteId, path) {
 async function getAllFilesForSite(siteId) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
+    const tx = db.transaction(FILE_STORE, 'readonly');
+    const store = tx.objectStore(FILE_STORE);
     const index = store.index('siteId');
     const request = index.getAll(siteId);
     request.onerror = () => reject(request.error);
@@ -91,7 +119,122 @@ async function getAllFilesForSite(siteId) {
 }
 
 /**
- * Handle requests to /local/{siteId}/...
+ * Get a saved version of a site from IndexedDB
+ */
+async function getSnapshotFromDB(siteId, version) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(VERSION_STORE, 'readonly');
+    const request = tx.objectStore(VERSION_STORE).get(`${siteId}@${version}`);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Get a blob record {content, encoding, ...} by hash from IndexedDB
+ */
+async function getBlobFromDB(hash) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(BLOB_STORE, 'readonly');
+    const request = tx.objectStore(BLOB_STORE).get(hash);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || null);
+  });
+}
+
+/**
+ * Build a response body with the file's original bytes (file.size is
+ * their length; the blob's stored size is of the compressed bytes).
+ * Vault blobs are decrypted first; compressed blobs are inflated as they
+ * stream out. Sending them as-is with Content-Encoding: gzip doesn't work:
+ * browsers only decode content codings on network responses, so pages
+ * would receive the raw gzip bytes.
+ */
+async function responseBody(file) {
+  let content = file.content;
+
+  if (file.iv) {
+    const key = vaultKey || await requestVaultKey();
+    if (!key) {
+      const error = new Error('Vault is locked');
+      error.name = 'VaultLockedError';
+      throw error;
+    }
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: file.iv }, key, await content.arrayBuffer());
+    content = new Blob([data]);
+  }
+
+  if (file.encoding !== 'gzip') return content;
+  return content.stream().pipeThrough(new DecompressionStream('gzip'));
+}
+
+/**
+ * Ask open app tabs for the vault key. The worker forgets it whenever the
+ * browser stops it, so this runs on the first encrypted request after that.
+ * @returns {Promise<CryptoKey|null>} null if no unlocked tab answers in time
+ */
+async function requestVaultKey() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: 'VAULT_KEY_REQUEST' }));
+
+  return new Promise((resolve) => {
+    vaultKeyWaiters.push(resolve);
+    setTimeout(() => {
+      vaultKeyWaiters = vaultKeyWaiters.filter(waiter => waiter !== resolve);
+      resolve(vaultKey);
+    }, VAULT_KEY_TIMEOUT);
+  });
+}
+
+/**
+ * Page shown in place of vault content while the vault is locked
+ */
+function lockedResponse() {
+  const html = `<!DOCTYPE html>
+<html>
+<head><title>Vault Locked</title></head>
+<body>
+<h1>This site is in a locked vault</h1>
+<p>Open Scrap Yard and unlock the vault, then reload this page.</p>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status: 423,
+    headers: { 'Content-Type': 'text/html' }
+  });
+}
+
+/**
+ * Resolve the site part of a /local/ URL to something files can be read from.
+ * "{siteId}" serves the current files, "{siteId}@{version}" a saved version.
+ */
+async function resolveSite(siteRef) {
+  const at = siteRef.indexOf('@');
+  if (at === -1) {
+    return {
+      getFile: (path) => getFileFromDB(siteRef, path),
+      listFiles: () => getAllFilesForSite(siteRef)
+    };
+  }
+
+  const snapshot = await getSnapshotFromDB(siteRef.slice(0, at), Number(siteRef.slice(at + 1)));
+  const files = snapshot?.files || [];
+  return {
+    getFile: async (path) => {
+      const file = files.find(f => f.path === path);
+      if (!file) return undefined;
+      const blob = await getBlobFromDB(file.hash);
+      return { ...file, content: blob?.content || null, encoding: blob?.encoding, iv: blob?.iv };
+    },
+    listFiles: async () => files
+  };
+}
+
+/**
+ * Handle requests to /local/{siteId}/... and /local/{siteId}@{version}/...
  */
 async function handleLocalRequest(request) {
   const url = new URL(request.url);
@@ -102,7 +245,7 @@ async function handleLocalRequest(request) {
     return new Response('Not Found', { status: 404 });
   }
 
-  const siteId = pathParts[1];
+  const siteRef = pathParts[1];
   let filePath = pathParts.slice(2).join('/') || 'index.html';
 
   // Handle paths ending with /
@@ -112,25 +255,29 @@ async function handleLocalRequest(request) {
 
   // Try to get the file
   try {
-    let file = await getFileFromDB(siteId, filePath);
+    const site = await resolveSite(siteRef);
+    let file = await site.getFile(filePath);
 
     // If not found and requesting root, try to find any index.html
     if (!file && (filePath === 'index.html' || filePath === '')) {
-      const allFiles = await getAllFilesForSite(siteId);
+      const allFiles = await site.listFiles();
       // Look for index.html at root level (no slashes in path)
-      file = allFiles.find(f =>
+      const rootPage = allFiles.find(f =>
         f.path === 'index.html' ||
         f.path === 'Index.html' ||
         (!f.path.includes('/') && f.path.toLowerCase().endsWith('.html'))
       );
+      if (rootPage) file = await site.getFile(rootPage.path);
     }
 
     if (file && file.content) {
-      return new Response(file.content, {
+      // Inflated gzip streams have no length up front; blobs report their own
+      const body = await responseBody(file);
+      return new Response(body, {
         status: 200,
         headers: {
           'Content-Type': file.contentType || 'application/octet-stream',
-          'Content-Length': file.size?.toString() || '0',
+          ...(body instanceof Blob && { 'Content-Length': body.size.toString() }),
           'X-Scrap-Yard': 'cached'
         }
       });
@@ -138,9 +285,9 @@ async function handleLocalRequest(request) {
 
     // Try with .html extension if no extension
     if (!filePath.includes('.')) {
-      const htmlFile = await getFileFromDB(siteId, filePath + '.html');
+      const htmlFile = await site.getFile(filePath + '.html');
       if (htmlFile && htmlFile.content) {
-        return new Response(htmlFile.content, {
+        return new Response(await responseBody(htmlFile), {
           status: 200,
           headers: {
             'Content-Type': 'text/html',
@@ -151,9 +298,9 @@ async function handleLocalRequest(request) {
     }
 
     // Try index.html in directory
-    const indexFile = await getFileFromDB(siteId, filePath + '/index.html');
+    const indexFile = await site.getFile(filePath + '/index.html');
     if (indexFile && indexFile.content) {
-      return new Response(indexFile.content, {
+      return new Response(await responseBody(indexFile), {
         status: 200,
         headers: {
           'Content-Type': 'text/html',
@@ -163,7 +310,7 @@ async function handleLocalRequest(request) {
     }
 
     // Debug: return HTML page showing what's available
-    const allFiles = await getAllFilesForSite(siteId);
+    const allFiles = await site.listFiles();
     const fileList = allFiles.map(f => `<li>${f.path} (${f.size || 0} bytes)</li>`).join('\n');
 
     const debugHtml = `<!DOCTYPE html>
@@ -171,7 +318,7 @@ async function handleLocalRequest(request) {
 <head><title>Debug - File Not Found</title></head>
 <body>
 <h1>File not found: ${filePath}</h1>
-<h2>Site ID: ${siteId}</h2>
+<h2>Site ID: ${siteRef}</h2>
 <h2>Available files (${allFiles.length}):</h2>
 <ul>${fileList || '<li>No files found</li>'}</ul>
 </body>
@@ -182,6 +329,7 @@ async function handleLocalRequest(request) {
       headers: { 'Content-Type': 'text/html' }
     });
   } catch (error) {
+    if (error.name === 'VaultLockedError') return lockedResponse();
     console.error('Error serving cached file:', error);
     return new Response('Error loading cached file', { status: 500 });
   }
@@ -221,4 +369,14 @@ self.addEventListener('message', (event) => {
   if (event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  if (event.data.type === 'VAULT_KEY') {
+    vaultKey = event.data.key;
+    vaultKeyWaiters.forEach(resolve => resolve(vaultKey));
+    vaultKeyWaiters = [];
+  }
+
+  if (event.data.type === 'VAULT_LOCK') {
+    vaultKey = null;
+  }
 });
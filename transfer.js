@@ -1,23 +1,278 @@
 /**
  * P2P File Transfer via Ledger's custom messages
- * Uses the existing WebRTC connections from Ledger instead of creating new ones
+ * Uses the existing WebRTC connections from Ledger instead of creating new ones.
+ * Requests go over the ledger channel; file data goes over a dedicated
+ * binary data channel per peer so big imports don't hold up catalog sync.
  */
 
-import { getFilesForSite, storeFile } from './persistence.js';
-import { getLedger, getNodeId } from './catalog.js';
+import {
+  getManifest,
+  getFile,
+  storeFile,
+  hashBlob,
+  deleteFilesForSite,
+  saveImportState,
+  getImportState,
+  getAllImportStates,
+  deleteImportState,
+  saveImportChunk,
+  getImportedBytes,
+  readImportedFile,
+  deleteImportedFile,
+  getSiteMeta,
+  getSiteStats,
+  isVaultLockedError,
+  getVaultStatus,
+  guessContentType,
+  saveTransferJob,
+  updateTransferJob,
+  getTransferJob,
+  getAllTransferJobs,
+  deleteTransferJob
+} from './persistence.js';
+import { getLedger, getNodeId, getSite, getSitesByHash } from './catalog.js';
+import { getSetting, onSettingsChange } from './settings.js';
+import {
+  recordSent,
+  recordReceived,
+  recordTransfer,
+  startImportStats,
+  endImportStats
+} from './stats.js';
+
+// Who may fetch a site I own (stored per site in site_meta.sharing)
+export const SHARING_POLICIES = {
+  'public': 'Anyone in the room',
+  'ask': 'Ask me each time',
+  'allowlist': 'Only listed peers'
+};
+
+// Status of an import job in the transfer queue
+export const JOB_STATUSES = {
+  'queued': 'Queued',
+  'running': 'Running',
+  'paused': 'Paused',
+  'waiting': 'Waiting for peer',
+  'failed': 'Failed',
+  'done': 'Done'
+};
+
+// Job priorities, highest first
+export const JOB_PRIORITIES = {
+  'high': 'High',
+  'normal': 'Normal',
+  'low': 'Low'
+};
+
+// Version of the file-transfer protocol, announced in the hello handshake.
+// Two peers speak the lower of their versions if both still accept it.
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Features announced in the hello; each peer pair uses the ones both have.
+//   binary-chunks: file data as binary frames on the file channel (required)
+//   hashes: file lists carry each file's SHA-256
+//   resume: file requests can ask for a byte range
+//   rate-limit: a receiver can ask to be sent data no faster than a given rate
+//   content-hash: requests can name a site by its content hash, so any copy the sender holds will do
+const CAPABILITIES = ['binary-chunks', 'hashes', 'resume', 'rate-limit', 'content-hash'];
+const REQUIRED_CAPABILITIES = ['binary-chunks'];
+
+// A peer that hasn't said hello by then speaks an older protocol
+const HELLO_TIMEOUT = 10000;
 
 // Chunk size for file transfer (64KB)
 const CHUNK_SIZE = 64 * 1024;
 
-// Pending file requests
+// Dedicated file data channel, negotiated with the same id on both peers
+const FILE_CHANNEL_LABEL = 'file-data';
+const FILE_CHANNEL_ID = 100;
+
+// Binary frames start with the sender's transfer ID (uint32)
+const FRAME_HEADER_SIZE = 4;
+
+// Backpressure: stop sending above the high mark, resume once drained to the low mark
+const BUFFER_HIGH_WATER = 1024 * 1024;
+const BUFFER_LOW_WATER = 256 * 1024;
+
+// A file request fails after this long without any data for it
+const FILE_IDLE_TIMEOUT = 60000;
+
+// With several sources, files bigger than this are split into ranges
+// fetched from different peers (a multiple of CHUNK_SIZE, so saved chunks line up)
+const PIECE_SIZE = 4 * 1024 * 1024;
+
+// Times a file that fails its hash check is fetched again before the import fails
+const MAX_FILE_RETRIES = 3;
+
+// Adaptive concurrency: how often throughput is measured, and the changes
+// that count as better or worse than the best seen so far
+const ADAPT_INTERVAL = 1000;
+const ADAPT_GAIN = 1.1;
+const ADAPT_LOSS = 0.7;
+
+// Limits on what a peer may send us. Breaking them gets the peer dropped.
+const MAX_PATH_LENGTH = 1024;
+const MAX_FILE_SIZE = 1024 * 1024 * 1024;
+const MAX_SITE_SIZE = 4 * 1024 * 1024 * 1024;
+const MAX_SITE_FILES = 50000;
+const MAX_INCOMING_PER_PEER = 16;
+
+// Files we send one peer at once; requests beyond this get a busy reply,
+// and the requester tries that peer again after BUSY_BACKOFF
+const MAX_OUTGOING_PER_PEER = MAX_INCOMING_PER_PEER;
+const BUSY_BACKOFF = 1000;
+
+// A decoded file stays around this long after its last piece was sent, for
+// the requester's next piece of it
+const SERVED_FILE_LINGER = 10000;
+
+// Busy replies in a row after which a source is given up on like a failed one
+const MAX_BUSY_REPLIES = 20;
+
+// Rate limits allow bursts of this many seconds' worth of data
+const RATE_BURST = 1;
+
+// Slowest rate a peer may ask us to send at, so it can't hold a served-file slot for ever
+const MIN_REQUESTED_RATE = 16 * 1024;
+
+// Error replies a sender can give (file-error codes), as reported to the user
+const TRANSFER_ERRORS = {
+  'site-not-found': "doesn't have this site",
+  'file-not-found': "doesn't have the file",
+  'denied': 'refused access to the site',
+  'busy': 'is busy',
+  'bad-range': 'was asked for a byte range outside the file',
+  'vault-locked': 'has its vault locked',
+  'unavailable': 'failed to send the file'
+};
+
+// Control characters and backslashes are never allowed in paths
+const UNSAFE_PATH_CHARS = /[\u0000-\u001f\u007f\\]/;
+
+// A bare MIME type, without parameters
+const CONTENT_TYPE_PATTERN = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/;
+
+// Types a browser may run script in. A peer only gets to use these for
+// files whose extension says so, so an "image" can't turn into a page.
+const ACTIVE_CONTENT_TYPES = new Set([
+  'text/html',
+  'application/xhtml+xml',
+  'image/svg+xml',
+  'text/xml',
+  'application/xml',
+  'text/javascript',
+  'application/javascript',
+  'application/ecmascript',
+  'text/ecmascript'
+]);
+
+// An 'ask' prompt left unanswered this long counts as a no
+const ACCESS_REQUEST_TIMEOUT = 60000;
+
+// A peer gets at most one 'ask' prompt per interval; requests in between are denied
+const ACCESS_REQUEST_INTERVAL = 60000;
+
+// Import jobs that run at the same time
+const MAX_RUNNING_JOBS = 2;
+
+// A failed job is retried after JOB_RETRY_DELAY, doubling each time up to
+// JOB_RETRY_MAX_DELAY, and marked failed after MAX_JOB_ATTEMPTS tries
+const JOB_RETRY_DELAY = 5000;
+const JOB_RETRY_MAX_DELAY = 5 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 5;
+
+// A running job's progress is saved at most this often, and when it stops
+const JOB_PROGRESS_SAVE_INTERVAL = 1000;
+
+// Pending requests by `${peerId}:${requestId}`: {kind: 'list' | 'file', ...}
 const pendingRequests = new Map();
 
-// Current incoming transfer state
+// IDs for outgoing requests, echoed back in every reply to them
+let nextRequestId = 1;
+
+// Current incoming transfer state, keyed by `${peerId}:${transferId}`
 const incomingTransfers = new Map();
 
+// File data channels by peer ID
+const fileChannels = new Map();
+
+// IDs for outgoing transfers, so interleaved chunks can be told apart
+let nextTransferId = 1;
+
+// Imports running in this session, by site ID: {run, controller}
+const activeImports = new Map();
+
+// Files being sent to peers, by `${peerId}:${requestId}`, so a cancel can stop them
+const outgoingTransfers = new Map();
+
+// Decoded files being served, by `${siteId}/${path}`, so the pieces of one
+// file share one decompress or decrypt: {key, file (promise), users, timer}
+const servedFiles = new Map();
+
 // Transfer progress callbacks
 let progressCallbacks = [];
 
+// Callbacks for import jobs that have fetched all their files
+let importCompleteCallbacks = [];
+
+// Import jobs running now, by site ID: their AbortControllers
+const runningJobs = new Map();
+
+// Transfer queue change callbacks
+let jobCallbacks = [];
+
+// Latest progress of running jobs, ahead of what's saved, by site ID:
+// {progress, timer}; and its callbacks
+const jobProgress = new Map();
+let jobProgressCallbacks = [];
+
+// Queue passes run one after another; the timer wakes the queue for retries
+let queueRun = Promise.resolve();
+let retryTimer = null;
+
+// Asks the user whether a peer may fetch a site (for the 'ask' policy)
+let accessRequestHandler = null;
+
+// Answers to 'ask' prompts for this session, by `${peerId}:${siteId}`
+const accessDecisions = new Map();
+
+// When each peer last caused an 'ask' prompt, kept when it reconnects
+const accessRequestTimes = new Map();
+
+// Peers dropped for breaking the transfer rules, ignored for the rest of the session
+const droppedPeers = new Set();
+
+// What each connected peer speaks, from its hello:
+// {state: 'pending' | 'ready' | 'incompatible', version, capabilities, reason}
+const peerProtocols = new Map();
+
+// Peers we've sent our hello to, and the timers that give up on theirs
+const helloSent = new Set();
+const helloTimers = new Map();
+
+// Peer protocol change callbacks
+let protocolCallbacks = [];
+
+// Upload rate limiters: one shared by all peers, and one per peer
+const uploadLimiter = createRateLimiter(() => kbToBytes(getSetting('uploadLimit')));
+const peerUploadLimiters = new Map();
+
+// Download rate limiters, like the upload ones. Peers are asked to keep to
+// our limits; these pace our requests for peers that don't.
+const downloadLimiter = createRateLimiter(() => kbToBytes(getSetting('downloadLimit')));
+const peerDownloadLimiters = new Map();
+
+// Rates peers asked us to send to them at (their download limits), in bytes/s
+const requestedRates = new Map();
+
+// Download limits last sent to each peer, in bytes/s
+const announcedRates = new Map();
+
+// Chunks waiting for their turn to be sent, by peer ID, in round-robin order
+const uploadQueue = new Map();
+let uploadTimer = null;
+
 /**
  * Initialize file transfer system
  * Sets up custom message handler on Ledger
@@ -30,14 +285,280 @@ export function initTransfer() {
   }
 
   ledger.onCustomMessage((fromPeerId, channel, data) => {
-    if (channel === 'file-transfer') {
-      handleTransferMessage(fromPeerId, data);
+    if (channel === 'file-transfer' && !droppedPeers.has(fromPeerId)) {
+      handleTransferMessage(fromPeerId, data).catch(err => {
+        console.error(`[Transfer] Failed to handle ${data?.type} from ${fromPeerId.slice(0, 8)}:`, err);
+        // A request we fail on still gets an answer, so the peer doesn't wait it out
+        if (data?.type === 'file-list-request' || data?.type === 'file-request') {
+          sendError(fromPeerId, data, isVaultLockedError(err) ? 'vault-locked' : 'unavailable');
+        }
+      });
     }
   });
 
+  // Say hello as soon as a peer connects, and open the file channel so
+  // it's ready for imports. Jobs waiting for the peer start once it answers.
+  ledger.on('peer-ready', (peerId) => {
+    sayHello(peerId);
+    getFileChannel(peerId);
+  });
+
+  // Requests to a peer that left fail now, so their work moves to other sources
+  ledger.on('peer-leave', (peerId) => {
+    failPeerRequests(peerId, peerError(`Peer ${peerId.slice(0, 8)} disconnected`));
+    forgetAccessDecisions(peerId);
+    forgetPeerProtocol(peerId);
+    forgetUploads(peerId);
+    peerDownloadLimiters.delete(peerId);
+    announceDownloadLimits();
+  });
+
+  // Peers that connected before we were listening won't be ready again
+  for (const peerId of getConnectedPeers()) {
+    sayHello(peerId);
+    getFileChannel(peerId);
+  }
+
+  // New limits apply to chunks already waiting, and peers hear our new download limits
+  onSettingsChange(() => {
+    runUploads();
+    announceDownloadLimits();
+  });
+
+  restoreJobs().catch(err => console.error('[Transfer] Failed to restore the transfer queue:', err));
+
   console.log('[Transfer] Initialized on Ledger custom channel');
 }
 
+/**
+ * Send our hello to a peer: protocol version and capabilities. If the
+ * peer doesn't answer in time it's taken to speak an older protocol.
+ */
+function sayHello(peerId) {
+  if (helloSent.has(peerId)) return;
+  helloSent.add(peerId);
+
+  sendTransferMessage(peerId, {
+    type: 'hello',
+    version: PROTOCOL_VERSION,
+    minVersion: MIN_PROTOCOL_VERSION,
+    capabilities: CAPABILITIES
+  });
+
+  if (!peerProtocols.has(peerId)) {
+    setPeerProtocol(peerId, { state: 'pending' });
+    helloTimers.set(peerId, setTimeout(() => {
+      helloTimers.delete(peerId);
+      if (peerProtocols.get(peerId)?.state !== 'pending') return;
+      setPeerProtocol(peerId, { state: 'incompatible', reason: 'No handshake, the peer runs an older version' });
+    }, HELLO_TIMEOUT));
+  }
+}
+
+/**
+ * Handle a peer's hello: agree on a version and the capabilities both
+ * sides have, or mark the peer incompatible
+ */
+function handleHello(peerId, msg) {
+  // Answer a peer whose hello arrived before we saw it connect
+  sayHello(peerId);
+  clearTimeout(helloTimers.get(peerId));
+  helloTimers.delete(peerId);
+
+  const theirVersion = Number(msg.version) || 0;
+  const version = Math.min(PROTOCOL_VERSION, theirVersion);
+  const theirs = new Set(Array.isArray(msg.capabilities) ? msg.capabilities : []);
+  const missing = REQUIRED_CAPABILITIES.filter(capability => !theirs.has(capability));
+
+  if (version < MIN_PROTOCOL_VERSION || version < (Number(msg.minVersion) || 0)) {
+    setPeerProtocol(peerId, {
+      state: 'incompatible',
+      version: theirVersion,
+      reason: `Speaks protocol v${theirVersion}, we speak v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION}`
+    });
+  } else if (missing.length > 0) {
+    setPeerProtocol(peerId, { state: 'incompatible', version, reason: `Lacks ${missing.join(', ')}` });
+  } else {
+    const capabilities = CAPABILITIES.filter(capability => theirs.has(capability));
+    setPeerProtocol(peerId, { state: 'ready', version, capabilities });
+    announceDownloadLimits();
+    pumpQueue();
+  }
+}
+
+/**
+ * Record what a peer speaks and tell subscribers
+ */
+function setPeerProtocol(peerId, protocol) {
+  peerProtocols.set(peerId, protocol);
+  if (protocol.state === 'incompatible') {
+    console.warn(`[Transfer] Peer ${peerId.slice(0, 8)} is incompatible: ${protocol.reason}`);
+  } else if (protocol.state === 'ready') {
+    console.log(`[Transfer] Peer ${peerId.slice(0, 8)} speaks v${protocol.version} with ${protocol.capabilities.join(', ')}`);
+  }
+  protocolCallbacks.forEach(cb => cb(peerId, protocol));
+}
+
+/**
+ * Forget the handshake with a peer that left, so it's redone when it's back
+ */
+function forgetPeerProtocol(peerId) {
+  clearTimeout(helloTimers.get(peerId));
+  helloTimers.delete(peerId);
+  helloSent.delete(peerId);
+  peerProtocols.delete(peerId);
+  protocolCallbacks.forEach(cb => cb(peerId, null));
+}
+
+/**
+ * Check whether we and a peer both have a capability
+ */
+function peerSupports(peerId, capability) {
+  return peerProtocols.get(peerId)?.capabilities?.includes(capability) ?? false;
+}
+
+/**
+ * Get what a peer speaks, from its hello
+ * @param {string} peerId
+ * @returns {Object|null} {state: 'pending' | 'ready' | 'incompatible', version,
+ *   capabilities, reason}, null if the peer isn't connected
+ */
+export function getPeerProtocol(peerId) {
+  return peerProtocols.get(peerId) || null;
+}
+
+/**
+ * Subscribe to peers' handshake results
+ * @param {function} callback - (peerId, protocol), protocol null when the peer left
+ */
+export function onPeerProtocolChange(callback) {
+  protocolCallbacks.push(callback);
+  return () => {
+    protocolCallbacks = protocolCallbacks.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Get the file data channel for a peer, opening it if needed
+ * @param {string} peerId
+ * @returns {RTCDataChannel|null}
+ */
+function getFileChannel(peerId) {
+  if (droppedPeers.has(peerId)) return null;
+
+  const existing = fileChannels.get(peerId);
+  if (existing && (existing.readyState === 'connecting' || existing.readyState === 'open')) {
+    return existing;
+  }
+
+  const dc = openFileChannel(peerId);
+  if (!dc) return null;
+
+  dc.binaryType = 'arraybuffer';
+  dc.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+  dc.onmessage = (event) => handleFileChannelMessage(peerId, event.data);
+  dc.onclose = () => {
+    if (fileChannels.get(peerId) !== dc) return;
+    fileChannels.delete(peerId);
+    // File data can't arrive any more, so its requests fail now rather than time out
+    failPeerRequests(peerId, peerError(`File channel to ${peerId.slice(0, 8)} closed`), 'file');
+    dropIncomingTransfers(peerId);
+  };
+
+  fileChannels.set(peerId, dc);
+  return dc;
+}
+
+/**
+ * Open the file data channel on the peer's connection in the ledger. The
+ * channel is negotiated out of band, so no renegotiation is needed, and it
+ * closes with the connection when the peer leaves.
+ * @returns {RTCDataChannel|null} null if there's no connection to the peer
+ */
+function openFileChannel(peerId) {
+  const pc = getLedger()?.webrtc?.peers.get(peerId)?.pc;
+  if (!pc || pc.connectionState === 'closed') return null;
+
+  try {
+    return pc.createDataChannel(FILE_CHANNEL_LABEL, { ordered: true, negotiated: true, id: FILE_CHANNEL_ID });
+  } catch (err) {
+    // The previous channel's id is still in use until it has fully closed
+    console.warn(`[Transfer] Failed to open file channel to ${peerId.slice(0, 8)}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Wait until a data channel is open
+ */
+function waitForOpen(dc) {
+  if (dc.readyState === 'open') return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onOpen = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('File channel closed')); };
+    const cleanup = () => {
+      dc.removeEventListener('open', onOpen);
+      dc.removeEventListener('close', onClose);
+    };
+    dc.addEventListener('open', onOpen);
+    dc.addEventListener('close', onClose);
+  });
+}
+
+/**
+ * Wait until a data channel's send buffer has drained below the low mark
+ */
+function waitForDrain(dc) {
+  if (dc.bufferedAmount <= BUFFER_HIGH_WATER) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onLow = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('File channel closed')); };
+    const cleanup = () => {
+      dc.removeEventListener('bufferedamountlow', onLow);
+      dc.removeEventListener('close', onClose);
+    };
+    dc.addEventListener('bufferedamountlow', onLow);
+    dc.addEventListener('close', onClose);
+  });
+}
+
+/**
+ * Handle a message on a peer's file data channel.
+ * Strings are JSON control messages (file-start, file-end); binary
+ * messages are chunks framed with their transfer ID.
+ */
+async function handleFileChannelMessage(fromPeerId, data) {
+  if (droppedPeers.has(fromPeerId)) return;
+
+  if (typeof data === 'string') {
+    try {
+      await handleTransferMessage(fromPeerId, JSON.parse(data));
+    } catch (err) {
+      console.error('[Transfer] Bad file channel message:', err);
+    }
+    return;
+  }
+
+  if (data.byteLength < FRAME_HEADER_SIZE) {
+    dropPeer(fromPeerId, 'sent a malformed chunk');
+    return;
+  }
+
+  const transferId = new DataView(data).getUint32(0);
+  handleFileChunk(fromPeerId, transferId, new Uint8Array(data, FRAME_HEADER_SIZE));
+}
+
+/**
+ * Forget partial files from a peer whose file channel has closed
+ */
+function dropIncomingTransfers(peerId) {
+  for (const key of incomingTransfers.keys()) {
+    if (key.startsWith(`${peerId}:`)) incomingTransfers.delete(key);
+  }
+}
+
 /**
  * Send a transfer message to a peer
  */
@@ -51,40 +572,121 @@ function sendTransferMessage(peerId, data) {
  * Handle incoming transfer messages
  */
 async function handleTransferMessage(fromPeerId, msg) {
+  if (msg.type === 'hello') {
+    handleHello(fromPeerId, msg);
+    return;
+  }
+
+  // Nothing else is understood until both sides have agreed on a protocol
+  if (peerProtocols.get(fromPeerId)?.state !== 'ready') return;
+
   switch (msg.type) {
-    case 'file-list-request':
-      await sendFileList(fromPeerId, msg.siteId);
+    case 'file-list-request': {
+      const { siteId, error } = await resolveRequestedSite(fromPeerId, msg);
+      if (error) {
+        sendError(fromPeerId, msg, error);
+      } else {
+        await sendFileList(fromPeerId, { ...msg, siteId });
+      }
       break;
+    }
+
+    case 'file-list': {
+      const key = requestKey(fromPeerId, msg.requestId);
+      if (pendingRequests.get(key)?.kind !== 'list') break;
 
-    case 'file-list':
-      const listRequest = pendingRequests.get(`list:${msg.siteId}`);
-      if (listRequest) {
-        listRequest.resolve(msg.files);
-        pendingRequests.delete(`list:${msg.siteId}`);
+      try {
+        const files = validateFileList(msg.files);
+        settleRequest(key, request => request.resolve(files));
+      } catch (err) {
+        dropPeer(fromPeerId, err.message);
       }
       break;
+    }
 
-    case 'file-request':
-      await sendFile(fromPeerId, msg.siteId, msg.path);
+    case 'file-request': {
+      const { siteId, error } = await resolveRequestedSite(fromPeerId, msg);
+      if (error) {
+        sendError(fromPeerId, msg, error);
+      } else {
+        await sendFile(fromPeerId, { ...msg, siteId });
+      }
       break;
+    }
 
-    case 'file-start':
-      incomingTransfers.set(`${fromPeerId}:${msg.siteId}:${msg.path}`, {
-        siteId: msg.siteId,
-        path: msg.path,
-        contentType: msg.contentType,
-        totalSize: msg.size,
-        receivedSize: 0,
-        chunks: []
-      });
+    case 'file-cancel': {
+      const transfer = outgoingTransfers.get(`${fromPeerId}:${msg.requestId}`);
+      if (transfer) transfer.cancelled = true;
       break;
+    }
+
+    case 'rate-limit': {
+      const rate = Number(msg.bytesPerSecond);
+      if (!Number.isFinite(rate) || rate < 0) break;
+      requestedRates.set(fromPeerId, rate > 0 ? Math.max(rate, MIN_REQUESTED_RATE) : 0);
+      runUploads();
+      break;
+    }
+
+    case 'file-error': {
+      const key = requestKey(fromPeerId, msg.requestId);
+      const request = pendingRequests.get(key);
+      if (!request) break;
+
+      const reason = TRANSFER_ERRORS[msg.code] || 'failed';
+      const message = `Peer ${fromPeerId.slice(0, 8)} ${reason}${request.path ? `: ${request.path}` : ''}`;
+      failRequest(key, peerError(message, msg.code));
+      break;
+    }
 
-    case 'file-chunk':
-      await handleFileChunk(fromPeerId, msg);
+    case 'file-start': {
+      // Only accept data we asked this peer for
+      const key = requestKey(fromPeerId, msg.requestId);
+      const request = pendingRequests.get(key);
+      if (request?.kind !== 'file') break;
+
+      if ((msg.offset || 0) !== request.offset) {
+        failRequest(key, peerError(`${request.path}: peer sent the wrong range`));
+        break;
+      }
+
+      const transferKey = `${fromPeerId}:${msg.transferId}`;
+      if (msg.size !== request.size) {
+        dropPeer(fromPeerId, `announced ${msg.size} bytes for ${request.path}, the file list said ${request.size}`);
+        break;
+      }
+      if (!Number.isInteger(msg.transferId) || incomingTransfers.has(transferKey) || request.transferKey) {
+        dropPeer(fromPeerId, `reused a transfer for ${request.path}`);
+        break;
+      }
+      if (countIncomingTransfers(fromPeerId) >= MAX_INCOMING_PER_PEER) {
+        dropPeer(fromPeerId, `started more than ${MAX_INCOMING_PER_PEER} transfers at once`);
+        break;
+      }
+
+      const contentType = safeContentType(request.path, msg.contentType);
+      const transfer = {
+        requestKey: key,
+        siteId: request.siteId,
+        path: request.path,
+        contentType,
+        totalSize: request.size,
+        receivedSize: request.offset,
+        end: request.end,
+        startOffset: request.offset,
+        startedAt: Date.now(),
+        writing: Promise.resolve()
+      };
+      incomingTransfers.set(transferKey, transfer);
+      request.transferKey = transferKey;
+      request.transfer = transfer;
+      request.contentType = contentType;
+      request.arm();
       break;
+    }
 
     case 'file-end':
-      await finalizeIncomingFile(fromPeerId, msg.siteId, msg.path);
+      await finalizeIncomingFile(fromPeerId, msg);
       break;
   }
 }
@@ -92,174 +694,1665 @@ async function handleTransferMessage(fromPeerId, msg) {
 /**
  * Handle incoming file chunk
  */
-async function handleFileChunk(fromPeerId, msg) {
-  const key = `${fromPeerId}:${msg.siteId}:${msg.path}`;
-  const transfer = incomingTransfers.get(key);
+function handleFileChunk(fromPeerId, transferId, bytes) {
+  const transfer = incomingTransfers.get(`${fromPeerId}:${transferId}`);
   if (transfer) {
-    // Decode base64 chunk back to bytes
-    const binary = atob(msg.data);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
+    const { siteId, path, receivedSize: offset } = transfer;
+    if (offset + bytes.length > transfer.end) {
+      dropPeer(fromPeerId, `sent more of ${path} than was asked for`);
+      return;
     }
-    transfer.chunks.push(bytes);
+
+    transfer.writing = transfer.writing.then(() => saveImportChunk(siteId, path, offset, bytes));
     transfer.receivedSize += bytes.length;
+    recordReceived(fromPeerId, siteId, bytes.length);
+    downloadLimiter.take(bytes.length);
+    getPeerDownloadLimiter(fromPeerId).take(bytes.length);
+    pendingRequests.get(transfer.requestKey)?.arm();
     notifyProgress(transfer.siteId, transfer.path, transfer.receivedSize, transfer.totalSize);
   }
 }
 
 /**
- * Finalize an incoming file transfer
+ * Normalize a path from a peer. Empty and "." segments are removed;
+ * absolute paths, ".." segments and control characters are rejected.
+ * @param {string} path
+ * @returns {string|null} The normalized path, or null if it's unsafe
  */
-async function finalizeIncomingFile(fromPeerId, siteId, path) {
-  const key = `${fromPeerId}:${siteId}:${path}`;
-  const transfer = incomingTransfers.get(key);
-
-  if (transfer) {
-    const blob = new Blob(transfer.chunks, { type: transfer.contentType });
-    await storeFile(siteId, path, blob, transfer.contentType);
-    incomingTransfers.delete(key);
-    console.log(`[Transfer] Received file: ${path}`);
+function normalizePath(path) {
+  if (typeof path !== 'string' || path.length > MAX_PATH_LENGTH) return null;
+  if (UNSAFE_PATH_CHARS.test(path) || path.startsWith('/') || /^[a-z]:/i.test(path)) return null;
 
-    // Resolve pending file request
-    const fileKey = `file:${siteId}:${path}`;
-    const fileRequest = pendingRequests.get(fileKey);
-    if (fileRequest) {
-      fileRequest.resolve(true);
-      pendingRequests.delete(fileKey);
-    }
+  // Unicode is left as it is: names uploaded from macOS are often NFD, and
+  // the peer lists them exactly as stored
+  const parts = [];
+  for (const part of path.split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') return null;
+    parts.push(part);
   }
+  return parts.length > 0 ? parts.join('/') : null;
 }
 
 /**
- * Send file list for a site to a peer
+ * Pick the content type to store a received file with. The peer's type is
+ * used when it's well formed and harmless for the file's extension;
+ * otherwise the type is guessed from the path.
  */
-async function sendFileList(peerId, siteId) {
-  const files = await getFilesForSite(siteId);
-  const fileList = files.map(f => ({
-    path: f.path,
-    size: f.size,
-    contentType: f.contentType
-  }));
+function safeContentType(path, contentType) {
+  const guessed = guessContentType(path);
+  const type = typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
 
-  sendTransferMessage(peerId, {
-    type: 'file-list',
-    siteId,
-    files: fileList
-  });
+  if (!CONTENT_TYPE_PATTERN.test(type)) return guessed;
+  if (ACTIVE_CONTENT_TYPES.has(type) && type !== guessed) return guessed;
+  return type;
 }
 
 /**
- * Send a file to a peer
+ * Check a file list from a peer: paths must be safe and already normalized
+ * (peers list files exactly as stored), with no duplicates, and sizes must
+ * stay within the per-file and per-site caps
+ * @returns {Array} The files, with safe content types
+ * @throws {Error} Describing the first rule broken
  */
-async function sendFile(peerId, siteId, path) {
-  const files = await getFilesForSite(siteId);
-  const file = files.find(f => f.path === path);
+function validateFileList(files) {
+  if (!Array.isArray(files)) throw new Error('sent a malformed file list');
+  if (files.length > MAX_SITE_FILES) throw new Error(`listed more than ${MAX_SITE_FILES} files`);
 
-  if (!file) {
-    console.error(`[Transfer] File not found: ${path}`);
-    return;
-  }
+  const paths = new Set();
+  let totalSize = 0;
 
-  // Send file start
-  sendTransferMessage(peerId, {
-    type: 'file-start',
-    siteId,
-    path,
-    contentType: file.contentType,
-    size: file.size
-  });
+  return files.map(file => {
+    const path = normalizePath(file?.path);
+    if (!path || path !== file.path) throw new Error(`listed an unsafe path: ${JSON.stringify(file?.path)}`);
+    if (paths.has(path)) throw new Error(`listed ${path} twice`);
+    paths.add(path);
 
-  // Send file in chunks (base64 encoded for JSON transport)
-  const blob = file.content;
-  const arrayBuffer = await blob.arrayBuffer();
-  const bytes = new Uint8Array(arrayBuffer);
+    if (!Number.isSafeInteger(file.size) || file.size < 0 || file.size > MAX_FILE_SIZE) {
+      throw new Error(`listed ${path} with a bad size (${file.size})`);
+    }
+    totalSize += file.size;
+    if (totalSize > MAX_SITE_SIZE) throw new Error('listed a site over the size limit');
 
-  for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
-    const chunk = bytes.slice(offset, offset + CHUNK_SIZE);
-    // Convert to base64 for JSON transport
-    let binary = '';
-    for (let i = 0; i < chunk.length; i++) {
-      binary += String.fromCharCode(chunk[i]);
+    if (file.hash != null && !/^[0-9a-f]{64}$/.test(file.hash)) {
+      throw new Error(`listed ${path} with a malformed hash`);
     }
-    const base64 = btoa(binary);
 
-    sendTransferMessage(peerId, {
-      type: 'file-chunk',
-      siteId,
-      path,
-      data: base64
-    });
+    return { path, size: file.size, contentType: safeContentType(path, file.contentType), hash: file.hash };
+  });
+}
 
-    // Small delay to prevent overwhelming
-    await new Promise(r => setTimeout(r, 10));
+/**
+ * Count the file requests to a peer that haven't finished, across all imports
+ */
+function countFileRequests(peerId) {
+  let count = 0;
+  for (const request of pendingRequests.values()) {
+    if (request.kind === 'file' && request.peerId === peerId) count++;
   }
+  return count;
+}
 
-  // Send file end
-  sendTransferMessage(peerId, {
-    type: 'file-end',
-    siteId,
-    path
-  });
+/**
+ * Count the transfers a peer is sending us right now
+ */
+function countIncomingTransfers(peerId) {
+  let count = 0;
+  for (const key of incomingTransfers.keys()) {
+    if (key.startsWith(`${peerId}:`)) count++;
+  }
+  return count;
 }
 
 /**
- * Request file list from a peer for a site
+ * Stop dealing with a peer that broke the transfer rules: its requests
+ * fail (so imports move to other sources), partial data is dropped, the
+ * file channel is closed and anything it sends later is ignored
  */
-export function requestFileList(peerId, siteId) {
-  return new Promise((resolve, reject) => {
-    pendingRequests.set(`list:${siteId}`, { resolve, reject });
+function dropPeer(peerId, reason) {
+  if (droppedPeers.has(peerId)) return;
 
-    sendTransferMessage(peerId, {
-      type: 'file-list-request',
-      siteId
-    });
+  console.warn(`[Transfer] Dropping peer ${peerId.slice(0, 8)}: ${reason}`);
+  droppedPeers.add(peerId);
+  failPeerRequests(peerId, peerError(`Peer ${peerId.slice(0, 8)} was dropped: ${reason}`));
+  dropIncomingTransfers(peerId);
+  fileChannels.get(peerId)?.close();
+  fileChannels.delete(peerId);
+}
+
+/**
+ * Decide whether a peer may fetch a site. Only sites I own are ever served
+ * (never other peers' sites or import scratch copies), under the site's
+ * sharing policy.
+ * @returns {Promise<string|null>} null if allowed, otherwise the error to
+ *   reply with: 'site-not-found' or 'denied'
+ */
+async function checkAccess(peerId, siteId) {
+  const site = await getSite(siteId);
+  if (!site || site.owner_id !== getNodeId()) return 'site-not-found';
 
-    setTimeout(() => {
-      if (pendingRequests.has(`list:${siteId}`)) {
-        pendingRequests.delete(`list:${siteId}`);
-        reject(new Error('Request timed out'));
+  const meta = await getSiteMeta(siteId);
+  switch (meta.sharing || 'public') {
+    case 'public':
+      return null;
+
+    case 'allowlist':
+      return (meta.allowlist || []).includes(peerId) ? null : 'denied';
+
+    case 'ask': {
+      // One prompt per peer and site; every file request after it waits on the answer
+      const key = `${peerId}:${siteId}`;
+      if (!accessDecisions.has(key)) {
+        if (Date.now() - (accessRequestTimes.get(peerId) || 0) < ACCESS_REQUEST_INTERVAL) return 'denied';
+        accessRequestTimes.set(peerId, Date.now());
+        accessDecisions.set(key, askForAccess(peerId, site));
       }
-    }, 30000);
-  });
+      return (await accessDecisions.get(key)) ? null : 'denied';
+    }
+
+    default:
+      return 'denied';
+  }
 }
 
 /**
- * Import a site from a peer (request all files)
+ * Ask the user whether a peer may fetch a site. No handler, a failing one
+ * and no answer within ACCESS_REQUEST_TIMEOUT all count as a no.
+ * @returns {Promise<boolean>}
  */
-export async function importSiteFromPeer(peerId, siteId, onProgress = () => {}) {
-  // First get the file list
-  const files = await requestFileList(peerId, siteId);
-  const totalFiles = files.length;
-  let completedFiles = 0;
+function askForAccess(peerId, site) {
+  if (!accessRequestHandler) return Promise.resolve(false);
 
-  // Request each file
-  for (const file of files) {
-    onProgress(completedFiles, totalFiles, file.path);
+  const signal = AbortSignal.timeout(ACCESS_REQUEST_TIMEOUT);
+  const timedOut = new Promise(resolve => {
+    signal.addEventListener('abort', () => resolve(false), { once: true });
+  });
+  const answer = Promise.resolve().then(() => accessRequestHandler(peerId, site, signal));
 
-    await new Promise((resolve, reject) => {
-      const key = `file:${siteId}:${file.path}`;
-      pendingRequests.set(key, { resolve, reject });
+  return Promise.race([answer, timedOut])
+    .then(allowed => allowed === true)
+    .catch(() => false);
+}
 
-      sendTransferMessage(peerId, {
-        type: 'file-request',
-        siteId,
-        path: file.path
-      });
+/**
+ * Find which of my sites a request is for and check the peer may have it.
+ * A request by content hash can be served from any copy I own with that
+ * hash and still have the files of, whether I made it or imported it.
+ * @returns {Promise<Object>} {siteId}, or {error}: a key of TRANSFER_ERRORS
+ */
+async function resolveRequestedSite(peerId, msg) {
+  if (typeof msg.contentHash !== 'string' || !peerSupports(peerId, 'content-hash')) {
+    const error = await checkAccess(peerId, msg.siteId);
+    return error ? { error } : { siteId: msg.siteId };
+  }
 
-      setTimeout(() => {
-        if (pendingRequests.has(key)) {
-          pendingRequests.delete(key);
-          reject(new Error(`File transfer timed out: ${file.path}`));
-        }
-      }, 60000);
-    });
+  let error = 'site-not-found';
+  for (const site of await getSitesByHash(msg.contentHash)) {
+    if (site.owner_id !== getNodeId() || (await getSiteStats(site.id)).fileCount === 0) continue;
+    error = await checkAccess(peerId, site.id);
+    if (!error) return { siteId: site.id };
+  }
+  return { error };
+}
+
+/**
+ * Name the site a request is for: the source's site ID, plus the content
+ * hash when the source should serve whichever copy it holds
+ */
+function siteAddress(source) {
+  return {
+    siteId: source.siteId,
+    ...(source.contentHash && { contentHash: source.contentHash })
+  };
+}
 
-    completedFiles++;
-    onProgress(completedFiles, totalFiles, file.path);
+/**
+ * Forget a peer's 'ask' answers so it is asked again when it comes back
+ */
+function forgetAccessDecisions(peerId) {
+  for (const key of accessDecisions.keys()) {
+    if (key.startsWith(`${peerId}:`)) accessDecisions.delete(key);
   }
+}
+
+/**
+ * Reply to a peer's request with an error
+ * @param {string} peerId
+ * @param {Object} msg - The request
+ * @param {string} code - Key of TRANSFER_ERRORS
+ */
+function sendError(peerId, msg, code) {
+  console.log(`[Transfer] ${msg.type} for ${msg.siteId} from ${peerId.slice(0, 8)}: ${code}`);
+  sendTransferMessage(peerId, {
+    type: 'file-error',
+    requestId: msg.requestId,
+    code
+  });
+}
+
+/**
+ * Set the function that asks the user whether a peer may fetch a site.
+ * It must not block; the signal aborts when the question times out (and
+ * is denied), so the prompt can be taken down.
+ * @param {function} handler - (peerId, site, signal) => Promise<boolean>
+ */
+export function onAccessRequest(handler) {
+  accessRequestHandler = handler;
+}
 
-  return true;
+/**
+ * Finish a received range once all its chunks are saved
+ */
+async function finalizeIncomingFile(fromPeerId, msg) {
+  const key = `${fromPeerId}:${msg.transferId}`;
+  const transfer = incomingTransfers.get(key);
+
+  if (transfer) {
+    if (transfer.requestKey !== requestKey(fromPeerId, msg.requestId)) {
+      dropPeer(fromPeerId, `ended ${transfer.path} for the wrong request`);
+      return;
+    }
+
+    incomingTransfers.delete(key);
+    const request = pendingRequests.get(transfer.requestKey);
+    if (!request) return;
+
+    try {
+      await transfer.writing;
+      if (transfer.receivedSize < Math.min(transfer.end, transfer.totalSize)) {
+        throw peerError(`${transfer.path}: transfer ended early`);
+      }
+      recordTransfer({
+        direction: 'received',
+        peerId: fromPeerId,
+        siteId: transfer.siteId,
+        path: transfer.path,
+        bytes: transfer.receivedSize - transfer.startOffset,
+        startedAt: transfer.startedAt
+      });
+      settleRequest(transfer.requestKey, () => request.resolve(request.contentType));
+    } catch (err) {
+      failRequest(transfer.requestKey, err);
+    }
+  }
+}
+
+/**
+ * Create an error for a failure on the peer's side (disconnect, timeout,
+ * bad data, an error reply) rather than ours; imports retry these with
+ * another source
+ * @param {string} message
+ * @param {string} code - The peer's error reply (key of TRANSFER_ERRORS), if any
+ */
+function peerError(message, code = null) {
+  const error = new Error(message);
+  error.name = 'PeerTransferError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * Key of a pending request. Replies are looked up by the peer they came
+ * from, so a peer can only answer requests that were sent to it.
+ */
+function requestKey(peerId, requestId) {
+  return `${peerId}:${requestId}`;
+}
+
+/**
+ * Remove a pending request and run its outcome
+ */
+function settleRequest(key, settle) {
+  const request = pendingRequests.get(key);
+  if (!request) return;
+  pendingRequests.delete(key);
+  clearTimeout(request.timer);
+  settle(request);
+}
+
+/**
+ * Fail a pending request. Its transfer is forgotten, so chunks still on the
+ * way are ignored and don't count against the peer, and what it received is
+ * thrown away before the request rejects and its range is asked for again.
+ * Unless the peer itself replied with an error, it's told to stop sending.
+ */
+function failRequest(key, error) {
+  settleRequest(key, request => {
+    if (request.kind === 'file' && !error.code) {
+      sendTransferMessage(request.peerId, { type: 'file-cancel', requestId: request.requestId });
+    }
+
+    const { transfer } = request;
+    if (!transfer) {
+      request.reject(error);
+      return;
+    }
+
+    incomingTransfers.delete(request.transferKey);
+    transfer.writing
+      .catch(() => {})
+      .then(() => deleteImportedFile(transfer.siteId, transfer.path, transfer.startOffset, transfer.receivedSize))
+      .catch(err => console.warn(`[Transfer] Failed to discard ${transfer.path}:`, err))
+      .finally(() => request.reject(error));
+  });
+}
+
+/**
+ * Fail every pending request to a peer, or only those of one kind
+ * @param {string} peerId
+ * @param {Error} error
+ * @param {string} kind - 'list' or 'file', or null for both
+ */
+function failPeerRequests(peerId, error, kind = null) {
+  for (const [key, request] of pendingRequests) {
+    if (request.peerId === peerId && (!kind || request.kind === kind)) failRequest(key, error);
+  }
+}
+
+/**
+ * Request a byte range of a file from a peer and wait until it has been
+ * received and saved. The timeout only fires when no data arrives for the
+ * range, so requests queued behind others on a busy peer don't time out.
+ * @param {Object} source - {peerId, siteId}: who to ask, and their site ID
+ * @param {string} siteId - Site being imported, which chunks are saved under
+ * @param {Object} file - {path, size} from the file list
+ * @param {number} offset - First byte wanted
+ * @param {number} end - Byte after the last one wanted
+ * @returns {Promise<string>} The file's content type
+ */
+function requestFile(source, siteId, file, offset, end) {
+  const { path, size } = file;
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    const key = requestKey(source.peerId, requestId);
+    const request = {
+      kind: 'file',
+      requestId,
+      peerId: source.peerId,
+      siteId,
+      path,
+      size,
+      offset,
+      end,
+      resolve,
+      reject,
+      timer: null
+    };
+    request.arm = () => {
+      clearTimeout(request.timer);
+      request.timer = setTimeout(() => {
+        failRequest(key, peerError(`File transfer timed out: ${path}`));
+      }, FILE_IDLE_TIMEOUT);
+    };
+    pendingRequests.set(key, request);
+    request.arm();
+
+    const sent = sendTransferMessage(source.peerId, {
+      type: 'file-request',
+      requestId,
+      ...siteAddress(source),
+      path,
+      offset,
+      end
+    });
+    if (!sent) failRequest(key, peerError(`Peer ${source.peerId.slice(0, 8)} is not connected`));
+  });
+}
+
+/**
+ * Create a concurrency window for file requests. When adaptive, it starts
+ * small and grows while throughput keeps improving, backing off when it drops.
+ * @param {number} max - Upper bound on requests in flight
+ * @param {boolean} adaptive
+ * @returns {Object} {limit(), record(bytes)}
+ */
+function createConcurrencyWindow(max, adaptive) {
+  let limit = adaptive ? Math.min(2, max) : max;
+  let best = 0;
+  let bytes = 0;
+  let since = Date.now();
+
+  return {
+    limit: () => limit,
+    record(size) {
+      if (!adaptive) return;
+      bytes += size;
+
+      const elapsed = Date.now() - since;
+      if (elapsed < ADAPT_INTERVAL) return;
+
+      const throughput = bytes / elapsed;
+      if (throughput > best * ADAPT_GAIN) {
+        best = throughput;
+        limit = Math.min(max, limit + 1);
+      } else if (throughput < best * ADAPT_LOSS) {
+        limit = Math.max(1, limit - 1);
+      }
+      bytes = 0;
+      since = Date.now();
+    }
+  };
+}
+
+/**
+ * Send file list for a site to a peer, with each file's SHA-256 so the
+ * receiver can verify what arrives
+ */
+async function sendFileList(peerId, msg) {
+  const { requestId, siteId } = msg;
+  const files = await getManifest(siteId);
+  if (files.length === 0) {
+    sendError(peerId, msg, 'site-not-found');
+    return;
+  }
+
+  const withHashes = peerSupports(peerId, 'hashes');
+  const fileList = files.map(f => ({
+    path: f.path,
+    size: f.size,
+    contentType: f.contentType,
+    ...(withHashes && { hash: f.hash })
+  }));
+
+  sendTransferMessage(peerId, {
+    type: 'file-list',
+    requestId,
+    siteId,
+    files: fileList
+  });
+}
+
+/**
+ * Send a file, or the requested byte range of it, to a peer. Beyond the
+ * per-peer cap or the maxServedFiles setting the request gets a busy reply,
+ * and a failure on our side gets an error reply rather than silence.
+ */
+async function sendFile(peerId, msg) {
+  const { requestId, siteId, path, offset = 0, end: requestedEnd = null } = msg;
+  const isByte = value => Number.isInteger(value) && value >= 0;
+  if (!isByte(offset) || (requestedEnd !== null && !isByte(requestedEnd))) {
+    sendError(peerId, msg, 'bad-range');
+    return;
+  }
+
+  const outgoingKey = `${peerId}:${requestId}`;
+  if (countOutgoingTransfers(peerId) >= MAX_OUTGOING_PER_PEER ||
+      outgoingTransfers.size >= Math.max(1, getSetting('maxServedFiles') || 1)) {
+    sendError(peerId, msg, 'busy');
+    return;
+  }
+
+  const outgoing = { cancelled: false };
+  outgoingTransfers.set(outgoingKey, outgoing);
+  const served = openServedFile(siteId, path);
+
+  try {
+    const file = await served.file;
+    if (!file) {
+      sendError(peerId, msg, 'file-not-found');
+      return;
+    }
+
+    const dc = getFileChannel(peerId);
+    if (!dc) {
+      console.error(`[Transfer] No file channel to ${peerId}`);
+      sendError(peerId, msg, 'busy');
+      return;
+    }
+
+    // Resume where the requester left off, up to where it asked
+    const blob = file.content;
+    const start = offset;
+    const end = requestedEnd ?? blob.size;
+    if (start > end || end > blob.size) {
+      sendError(peerId, msg, 'bad-range');
+      return;
+    }
+
+    await waitForOpen(dc);
+    const transferId = nextTransferId++;
+    const startedAt = Date.now();
+
+    // Send file start
+    dc.send(JSON.stringify({
+      type: 'file-start',
+      requestId,
+      transferId,
+      siteId,
+      path,
+      contentType: file.contentType,
+      size: file.size,
+      offset: start
+    }));
+
+    // Send file in raw binary chunks, paced by the channel's send buffer
+    // and the upload limits, until done or the requester cancels
+    for (let offset = start; offset < end; offset += CHUNK_SIZE) {
+      await waitForDrain(dc);
+      await waitForUploadTurn(peerId, Math.min(CHUNK_SIZE, end - offset));
+      if (outgoing.cancelled) {
+        console.log(`[Transfer] ${peerId.slice(0, 8)} cancelled ${path}`);
+        return;
+      }
+
+      const chunk = await blob.slice(offset, Math.min(offset + CHUNK_SIZE, end)).arrayBuffer();
+      const frame = new Uint8Array(FRAME_HEADER_SIZE + chunk.byteLength);
+      new DataView(frame.buffer).setUint32(0, transferId);
+      frame.set(new Uint8Array(chunk), FRAME_HEADER_SIZE);
+      dc.send(frame.buffer);
+      recordSent(peerId, siteId, chunk.byteLength);
+    }
+
+    // Send file end
+    dc.send(JSON.stringify({ type: 'file-end', requestId, transferId }));
+    recordTransfer({ direction: 'sent', peerId, siteId, path, bytes: end - start, startedAt });
+  } catch (err) {
+    console.error(`[Transfer] Failed to send ${path}:`, err);
+    sendError(peerId, msg, isVaultLockedError(err) ? 'vault-locked' : 'unavailable');
+  } finally {
+    outgoingTransfers.delete(outgoingKey);
+    closeServedFile(served);
+  }
+}
+
+/**
+ * Get a stored file for sending, decoding it only if no recent transfer
+ * already did. Every call needs a closeServedFile.
+ * @returns {Object} Entry whose file resolves to the file or null
+ */
+function openServedFile(siteId, path) {
+  // Decoded vault content isn't served once the vault is locked
+  const { enabled, unlocked } = getVaultStatus();
+  if (enabled && !unlocked) {
+    for (const entry of [...servedFiles.values()]) forgetServedFile(entry);
+  }
+
+  const key = `${siteId}/${path}`;
+  let entry = servedFiles.get(key);
+  if (!entry) {
+    entry = { key, file: getFile(siteId, path), users: 0, timer: null };
+    servedFiles.set(key, entry);
+    // Misses and failures aren't kept, so the next request tries again
+    entry.file.then(file => file || forgetServedFile(entry), () => forgetServedFile(entry));
+  }
+
+  clearTimeout(entry.timer);
+  entry.users++;
+  return entry;
+}
+
+/**
+ * Done sending from a served file; it's dropped once unused for SERVED_FILE_LINGER
+ */
+function closeServedFile(entry) {
+  if (--entry.users > 0) return;
+  entry.timer = setTimeout(() => forgetServedFile(entry), SERVED_FILE_LINGER);
+}
+
+/**
+ * Drop a decoded file from the served files
+ */
+function forgetServedFile(entry) {
+  clearTimeout(entry.timer);
+  if (servedFiles.get(entry.key) === entry) servedFiles.delete(entry.key);
+}
+
+/**
+ * Count the files being sent to a peer right now
+ */
+function countOutgoingTransfers(peerId) {
+  let count = 0;
+  for (const key of outgoingTransfers.keys()) {
+    if (key.startsWith(`${peerId}:`)) count++;
+  }
+  return count;
+}
+
+/**
+ * Convert a KB/s setting to bytes/s (0 means no limit)
+ */
+function kbToBytes(value) {
+  return Math.max(0, Number(value) || 0) * 1024;
+}
+
+/**
+ * The strictest of some rate limits, ignoring the ones that are off (0)
+ */
+function strictestLimit(...limits) {
+  const active = limits.filter(limit => limit > 0);
+  return active.length > 0 ? Math.min(...active) : 0;
+}
+
+/**
+ * Create a token bucket for the rate getLimit() returns (bytes/s, 0 for
+ * none). A chunk may overdraw it; the next one waits until that's paid off.
+ * @returns {Object} {wait() - ms until sending is allowed, take(bytes)}
+ */
+function createRateLimiter(getLimit) {
+  let tokens = 0;
+  let updatedAt = Date.now();
+
+  function refill() {
+    const limit = getLimit();
+    const now = Date.now();
+    tokens = limit > 0 ? Math.min(limit * RATE_BURST, tokens + (now - updatedAt) / 1000 * limit) : 0;
+    updatedAt = now;
+    return limit;
+  }
+
+  return {
+    wait() {
+      const limit = refill();
+      return limit > 0 && tokens < 0 ? Math.ceil(-tokens / limit * 1000) : 0;
+    },
+    take(bytes) {
+      if (refill() > 0) tokens -= bytes;
+    }
+  };
+}
+
+/**
+ * Get a peer's upload limiter: our per-peer upload limit, or the rate the
+ * peer asked for, whichever is lower
+ */
+function getPeerUploadLimiter(peerId) {
+  let limiter = peerUploadLimiters.get(peerId);
+  if (!limiter) {
+    limiter = createRateLimiter(() => strictestLimit(
+      kbToBytes(getSetting('peerUploadLimit')),
+      requestedRates.get(peerId) || 0
+    ));
+    peerUploadLimiters.set(peerId, limiter);
+  }
+  return limiter;
+}
+
+/**
+ * Wait until a chunk of the given size may be sent to a peer
+ */
+function waitForUploadTurn(peerId, bytes) {
+  return new Promise(resolve => {
+    if (!uploadQueue.has(peerId)) uploadQueue.set(peerId, []);
+    uploadQueue.get(peerId).push({ bytes, resolve });
+    runUploads();
+  });
+}
+
+/**
+ * Hand out upload turns round-robin: the first peer in line that its own
+ * limit allows sends one chunk and goes to the back, so peers share the
+ * upload budget evenly however many files each is fetching. When the
+ * limits allow nothing, try again once the soonest of them does.
+ */
+function runUploads() {
+  clearTimeout(uploadTimer);
+  uploadTimer = null;
+
+  while (uploadQueue.size > 0) {
+    const globalWait = uploadLimiter.wait();
+    if (globalWait > 0) {
+      uploadTimer = setTimeout(runUploads, globalWait);
+      return;
+    }
+
+    let next = null;
+    let peerWait = Infinity;
+    for (const peerId of uploadQueue.keys()) {
+      const wait = getPeerUploadLimiter(peerId).wait();
+      if (wait === 0) {
+        next = peerId;
+        break;
+      }
+      peerWait = Math.min(peerWait, wait);
+    }
+    if (!next) {
+      uploadTimer = setTimeout(runUploads, peerWait);
+      return;
+    }
+
+    const waiters = uploadQueue.get(next);
+    const { bytes, resolve } = waiters.shift();
+    uploadQueue.delete(next);
+    if (waiters.length > 0) uploadQueue.set(next, waiters);
+    uploadLimiter.take(bytes);
+    getPeerUploadLimiter(next).take(bytes);
+    resolve();
+  }
+}
+
+/**
+ * Forget the upload state of a peer that left. Its waiting chunks are let
+ * go; sending them fails on the closed channel and ends their transfers.
+ */
+function forgetUploads(peerId) {
+  uploadQueue.get(peerId)?.forEach(waiter => waiter.resolve());
+  uploadQueue.delete(peerId);
+  peerUploadLimiters.delete(peerId);
+  requestedRates.delete(peerId);
+  announcedRates.delete(peerId);
+}
+
+/**
+ * Get a peer's download limiter, for our per-peer download limit
+ */
+function getPeerDownloadLimiter(peerId) {
+  let limiter = peerDownloadLimiters.get(peerId);
+  if (!limiter) {
+    limiter = createRateLimiter(() => kbToBytes(getSetting('peerDownloadLimit')));
+    peerDownloadLimiters.set(peerId, limiter);
+  }
+  return limiter;
+}
+
+/**
+ * Check whether a download limit applies to what a peer sends us
+ */
+function isDownloadLimited() {
+  return strictestLimit(kbToBytes(getSetting('downloadLimit')), kbToBytes(getSetting('peerDownloadLimit'))) > 0;
+}
+
+/**
+ * Time until more may be requested from a peer without going over our
+ * download limits (0 when it may be now)
+ */
+function downloadWait(peerId) {
+  return Math.max(downloadLimiter.wait(), getPeerDownloadLimiter(peerId).wait());
+}
+
+/**
+ * Tell peers how fast to send to us: our per-peer download limit, or an
+ * even share of the global one between them, whichever is lower
+ */
+function announceDownloadLimits() {
+  const peers = [...peerProtocols.keys()].filter(peerId => peerSupports(peerId, 'rate-limit'));
+  const share = peers.length > 0 ? kbToBytes(getSetting('downloadLimit')) / peers.length : 0;
+  const rate = Math.floor(strictestLimit(kbToBytes(getSetting('peerDownloadLimit')), share));
+
+  for (const peerId of peers) {
+    if (announcedRates.get(peerId) === rate) continue;
+    announcedRates.set(peerId, rate);
+    sendTransferMessage(peerId, { type: 'rate-limit', bytesPerSecond: rate });
+  }
+}
+
+/**
+ * Request file list from a peer for a site
+ * @param {Object} source - {peerId, siteId, contentHash?}: the peer and
+ *   its site (see findImportSources)
+ * @param {string} importSiteId - Import the list is for, so cancelling it stops the request
+ */
+export function requestFileList(source, importSiteId = source.siteId) {
+  const { peerId } = source;
+  // Open the file channel before any file is requested
+  getFileChannel(peerId);
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    const key = requestKey(peerId, requestId);
+    const timer = setTimeout(() => failRequest(key, peerError('Request timed out')), 30000);
+    pendingRequests.set(key, { kind: 'list', requestId, peerId, siteId: importSiteId, resolve, reject, timer });
+
+    const sent = sendTransferMessage(peerId, {
+      type: 'file-list-request',
+      requestId,
+      ...siteAddress(source)
+    });
+    if (!sent) failRequest(key, peerError(`Peer ${peerId.slice(0, 8)} is not connected`));
+  });
+}
+
+/**
+ * Find connected peers that can serve a site: its owner, and anyone who
+ * holds a copy with the same content hash. Copies are asked for by content
+ * hash where the peer understands it, so the holder can serve whichever of
+ * its copies it still has the files of; the owner is asked for its own
+ * listing. With the owner gone the copies serve alone.
+ * @param {Object} site - Catalog row of the site to import
+ * @returns {Promise<Array>} Sources: {peerId, siteId, contentHash?}, the owner first
+ */
+export async function findImportSources(site) {
+  // Only peers we've agreed on a protocol with can send anything
+  const connected = new Set(getConnectedPeers().filter(peerId =>
+    !droppedPeers.has(peerId) && peerProtocols.get(peerId)?.state === 'ready'));
+  const sources = [];
+
+  if (connected.has(site.owner_id)) {
+    sources.push({ peerId: site.owner_id, siteId: site.id });
+  }
+
+  for (const copy of await getSitesByHash(site.content_hash)) {
+    if (!connected.has(copy.owner_id) || sources.some(s => s.peerId === copy.owner_id)) continue;
+    sources.push({
+      peerId: copy.owner_id,
+      siteId: copy.id,
+      ...(peerSupports(copy.owner_id, 'content-hash') && { contentHash: site.content_hash })
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Import a site (request all files)
+ * Files are fetched from every connected peer that holds the same content,
+ * starting with the given one. Progress is saved as it goes, so an import
+ * that was cut off continues from the last byte received. Joins the import
+ * if it's already running.
+ * @param {string} peerId - Preferred source
+ * @param {string} siteId
+ * @param {function} onProgress - (completed, total, path)
+ * @param {Object} options - {updateSiteId, signal}: aborting the signal
+ *   stops the import (also for anyone who joined it) and throws its reason
+ */
+export function importSiteFromPeer(peerId, siteId, onProgress = () => {}, options = {}) {
+  const { signal, ...rest } = options;
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  let active = activeImports.get(siteId);
+  if (!active) {
+    const controller = new AbortController();
+    const run = runImport(peerId, siteId, onProgress, { ...rest, signal: controller.signal })
+      .finally(() => activeImports.delete(siteId));
+    active = { run, controller };
+    activeImports.set(siteId, active);
+  }
+
+  if (!signal) return active.run;
+
+  // The listener goes once the import is over, so a long-lived signal
+  // doesn't keep finished imports around or abort them later
+  const { run, controller } = active;
+  const onAbort = () => controller.abort(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+  return run.finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Fetch only what changed in a peer's site compared with our copy of it.
+ * Added and changed files are stored under the peer's site ID; applying
+ * them (and deleting removed files) is up to the caller.
+ * @param {string} peerId - Preferred source
+ * @param {string} siteId - The peer's site
+ * @param {string} localSiteId - Our older copy
+ * @param {function} onProgress
+ * @returns {Promise<Object>} {files, updateSiteId}: the peer's full file list
+ */
+export function updateSiteFromPeer(peerId, siteId, localSiteId, onProgress = () => {}, signal = undefined) {
+  return importSiteFromPeer(peerId, siteId, onProgress, { updateSiteId: localSiteId, signal });
+}
+
+/**
+ * Pick the files in a peer's list that our copy lacks or holds different bytes for
+ */
+async function changedFiles(files, localSiteId) {
+  const local = new Map((await getManifest(localSiteId)).map(f => [f.path, f.hash]));
+  return files.filter(file => !file.hash || local.get(file.path) !== file.hash);
+}
+
+/**
+ * Check whether two file lists describe the same files
+ */
+function sameFileList(a, b) {
+  if (a.length !== b.length) return false;
+  const byPath = new Map(a.map(f => [f.path, f]));
+  return b.every(f => {
+    const other = byPath.get(f.path);
+    return other && other.size === f.size && other.hash === f.hash;
+  });
+}
+
+/**
+ * Split what's left of a file into ranges to request. Big files are cut into
+ * pieces when there are several sources, so each can send part of it.
+ * @returns {Promise<Array>} Pieces: {file, offset, end}
+ */
+async function planPieces(siteId, file, sourceCount) {
+  const pieceSize = sourceCount > 1 && file.size > PIECE_SIZE ? PIECE_SIZE : Math.max(file.size, 1);
+  const pieces = [];
+
+  for (let start = 0; start < Math.max(file.size, 1); start += pieceSize) {
+    const end = Math.min(start + pieceSize, file.size);
+    const offset = start + await getImportedBytes(siteId, file.path, start);
+    if (offset < end || file.size === 0) pieces.push({ file, offset, end });
+  }
+
+  return pieces;
+}
+
+/**
+ * Count the sources that can send byte ranges, so files can be split between them
+ */
+function countRangeSources(sources) {
+  return sources.filter(source => peerSupports(source.peerId, 'resume')).length;
+}
+
+/**
+ * Check whether a source can send a piece: anything short of a whole file
+ * is a byte range, which needs the resume capability
+ */
+function canServe(source, piece) {
+  return (piece.offset === 0 && piece.end === piece.file.size) || peerSupports(source.peerId, 'resume');
+}
+
+/**
+ * Create an error for a received file whose bytes don't match the file list
+ */
+function checksumError(message) {
+  const error = new Error(message);
+  error.name = 'ChecksumError';
+  return error;
+}
+
+/**
+ * Assemble a fully received file from its saved chunks, check it against
+ * the hash in the file list, and store it
+ */
+async function storeImportedFile(siteId, file, contentType) {
+  const received = await getImportedBytes(siteId, file.path);
+  if (received !== file.size) {
+    throw checksumError(`${file.path}: received ${received} of ${file.size} bytes`);
+  }
+
+  const type = contentType || file.contentType;
+  const blob = await readImportedFile(siteId, file.path, type);
+
+  // Peers from before file hashes were listed send none; those go unchecked
+  if (file.hash && (await hashBlob(blob)) !== file.hash) {
+    throw checksumError(`${file.path}: content does not match its hash`);
+  }
+
+  await storeFile(siteId, file.path, blob, type);
+  await deleteImportedFile(siteId, file.path);
+  console.log(`[Transfer] Received file: ${file.path}`);
+}
+
+/**
+ * Run an import until it finishes or its signal is aborted. A cancelled
+ * import tells its sources to stop and throws away what it received; a
+ * paused one (aborted with a TransferPausedError) keeps it.
+ * @returns {Promise<Object>} {files, updateSiteId}
+ */
+async function runImport(peerId, siteId, onProgress, options) {
+  const { signal } = options;
+  let writes = [];
+  const onAbort = () => {
+    writes = cancelRequests(siteId, signal.reason);
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await fetchSiteFiles(peerId, siteId, onProgress, options);
+  } catch (err) {
+    if (!signal.aborted) throw err;
+
+    await Promise.allSettled(writes);
+    if (signal.reason?.name === 'TransferPausedError') {
+      console.log(`[Transfer] Import of ${siteId} paused`);
+    } else {
+      await deleteImportState(siteId);
+      await deleteFilesForSite(siteId);
+      console.log(`[Transfer] Import of ${siteId} cancelled`);
+    }
+    throw signal.reason;
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    endImportStats(siteId);
+  }
+}
+
+/**
+ * Fail an import's outstanding requests and ask the peers sending its
+ * files to stop
+ * @returns {Array<Promise>} Chunk writes still in progress
+ */
+function cancelRequests(siteId, reason) {
+  const writes = [];
+
+  for (const [key, request] of pendingRequests) {
+    if (request.siteId !== siteId) continue;
+
+    if (request.kind === 'file') {
+      sendTransferMessage(request.peerId, { type: 'file-cancel', requestId: request.requestId });
+    }
+    // Received data is kept (a paused import continues from it), so the
+    // request is settled here rather than through failRequest
+    if (request.transfer) {
+      writes.push(request.transfer.writing);
+      incomingTransfers.delete(request.transferKey);
+    }
+    settleRequest(key, pending => pending.reject(reason));
+  }
+
+  return writes;
+}
+
+/**
+ * Fetch a site's files from all its sources, skipping any an earlier
+ * attempt already finished. With options.updateSiteId, only files that
+ * differ from that local site are fetched.
+ * @returns {Promise<Object>} {files, updateSiteId}
+ */
+async function fetchSiteFiles(peerId, siteId, onProgress, options) {
+  const { updateSiteId = null, signal } = options;
+  const site = await getSite(siteId);
+  const sources = await findImportSources(site || { id: siteId, owner_id: peerId });
+  if (sources.length === 0) throw new Error('No connected peer has this site');
+
+  // Prefer the peer we were asked to import from
+  sources.sort((a, b) => (b.peerId === peerId) - (a.peerId === peerId));
+
+  // First get the file list (any source will do, they hold the same content)
+  let files = null;
+  let lastPeerError = null;
+  for (const source of [...sources]) {
+    try {
+      files = await requestFileList(source, siteId);
+      break;
+    } catch (err) {
+      signal.throwIfAborted();
+      console.warn(`[Transfer] No file list from ${source.peerId}:`, err);
+      lastPeerError = err;
+      sources.splice(sources.indexOf(source), 1);
+    }
+  }
+  if (!files) throw new Error(`No peer sent the file list (${lastPeerError?.message})`);
+  signal.throwIfAborted();
+  const contentHash = site?.content_hash || '';
+  const wanted = updateSiteId ? await changedFiles(files, updateSiteId) : files;
+
+  // Only continue an earlier attempt if the site hasn't changed since
+  let state = await getImportState(siteId);
+  if (state && (state.contentHash !== contentHash || !sameFileList(state.files, files) ||
+      (state.updateSiteId || null) !== updateSiteId)) {
+    await deleteImportState(siteId);
+    await deleteFilesForSite(siteId);
+    state = null;
+  }
+  state = await saveImportState({
+    siteId,
+    contentHash,
+    files,
+    updateSiteId,
+    completed: [],
+    startedAt: new Date().toISOString(),
+    ...state,
+    peerId
+  });
+
+  const completed = new Set(state.completed);
+  const totalFiles = wanted.length;
+  const maxConcurrency = Math.max(1, getSetting('transferConcurrency'));
+  for (const source of sources) {
+    source.active = 0;
+    source.busyReplies = 0;
+    source.pool = createConcurrencyWindow(maxConcurrency, getSetting('adaptiveConcurrency'));
+  }
+
+  // Work queue of byte ranges, and how many ranges each file still needs
+  const queue = [];
+  const remaining = new Map();
+  const contentTypes = new Map();
+  for (const file of wanted) {
+    if (completed.has(file.path)) continue;
+    const pieces = await planPieces(siteId, file, countRangeSources(sources));
+    remaining.set(file.path, pieces.length);
+    queue.push(...pieces);
+  }
+
+  // The ETA counts down from the catalog's size for the site (or the
+  // changed files' size for an update), less what earlier attempts got
+  const wantedBytes = wanted.reduce((sum, file) => sum + file.size, 0);
+  const totalBytes = updateSiteId ? wantedBytes : (site?.file_size || wantedBytes);
+  const queuedBytes = queue.reduce((sum, piece) => sum + (piece.end - piece.offset), 0);
+  startImportStats(siteId, totalBytes, Math.max(0, totalBytes - queuedBytes));
+
+  onProgress(completed.size, totalFiles, queue[0]?.file.path);
+
+  // Record a file as done once it's stored
+  const completeFile = async (file) => {
+    await storeImportedFile(siteId, file, contentTypes.get(file.path));
+    completed.add(file.path);
+    state = await saveImportState({ ...state, completed: [...completed] });
+    onProgress(completed.size, totalFiles, file.path);
+  };
+
+  // A file that arrived damaged is thrown away and fetched again from scratch
+  const retries = new Map();
+  const refetchFile = async (file, error) => {
+    const attempts = (retries.get(file.path) || 0) + 1;
+    if (attempts > MAX_FILE_RETRIES) throw error;
+    retries.set(file.path, attempts);
+
+    console.warn(`[Transfer] ${error.message}, fetching it again (attempt ${attempts})`);
+    await deleteImportedFile(siteId, file.path);
+    const pieces = await planPieces(siteId, file, countRangeSources(sources));
+    remaining.set(file.path, pieces.length);
+    queue.push(...pieces);
+  };
+
+  // Fetch one range from a source; the last range of a file stores it
+  const fetchPiece = async (source, piece) => {
+    const contentType = await requestFile(source, siteId, piece.file, piece.offset, piece.end);
+    // A range that lands after the import failed stays saved for the next attempt
+    if (fatal) return;
+    contentTypes.set(piece.file.path, contentType);
+    source.pool.record(piece.end - piece.offset);
+
+    const left = remaining.get(piece.file.path) - 1;
+    remaining.set(piece.file.path, left);
+    if (left > 0) return;
+
+    try {
+      await completeFile(piece.file);
+    } catch (err) {
+      if (err.name !== 'ChecksumError') throw err;
+      await refetchFile(piece.file, err);
+    }
+  };
+
+  // Files received in full by an earlier attempt only need storing
+  for (const file of wanted) {
+    if (remaining.get(file.path) !== 0) continue;
+    try {
+      await completeFile(file);
+    } catch (err) {
+      if (err.name !== 'ChecksumError') throw err;
+      await refetchFile(file, err);
+    }
+  }
+
+  // Keep each source busy up to its window's limit. When a source fails its
+  // range goes back on the queue for the others; our own errors (storage
+  // full, vault locked) fail the import. Finished files are kept either way.
+  const inFlight = new Set();
+  let fatal = null;
+  while (!fatal && (queue.length > 0 || inFlight.size > 0)) {
+    if (signal.aborted) {
+      fatal = signal.reason;
+      break;
+    }
+    if (sources.length === 0) {
+      fatal = new Error(`No peer holding this site can send it (${lastPeerError?.message})`);
+      break;
+    }
+    if (inFlight.size === 0 && !queue.some(piece => sources.some(source => canServe(source, piece)))) {
+      fatal = new Error('No connected peer can resume the partly received files');
+      break;
+    }
+
+    // Requests to a peer are capped across imports, so it never has a
+    // reason to send us more than MAX_INCOMING_PER_PEER files at once.
+    // Under a download limit a source gets one request at a time, and none
+    // until what it sent is paid off, even if it ignores the rate we asked for.
+    let nextTurn = Infinity;
+    for (const source of sources) {
+      if (source.busyUntil > Date.now()) continue;
+      const wait = downloadWait(source.peerId);
+      if (wait > 0) {
+        nextTurn = Math.min(nextTurn, wait);
+        continue;
+      }
+      const limit = isDownloadLimited() ? 1 : source.pool.limit();
+      while (source.active < limit &&
+          countFileRequests(source.peerId) < MAX_INCOMING_PER_PEER) {
+        const index = queue.findIndex(piece => canServe(source, piece));
+        if (index === -1) break;
+        const [piece] = queue.splice(index, 1);
+        source.active++;
+        const request = fetchPiece(source, piece)
+          .then(() => {
+            source.busyReplies = 0;
+          })
+          .catch(err => {
+            if (err.name !== 'PeerTransferError') {
+              fatal = err;
+              return;
+            }
+            if (err.code === 'busy' && ++source.busyReplies < MAX_BUSY_REPLIES) {
+              // A busy source keeps its place and gets a moment before the next request
+              source.busyUntil = Date.now() + BUSY_BACKOFF;
+              queue.unshift(piece);
+              return;
+            }
+            console.warn(`[Transfer] ${source.peerId} failed, moving its work:`, err.message);
+            lastPeerError = err;
+            queue.unshift(piece);
+            const index = sources.indexOf(source);
+            if (index !== -1) sources.splice(index, 1);
+          })
+          .finally(() => {
+            source.active--;
+            inFlight.delete(request);
+          });
+        inFlight.add(request);
+      }
+    }
+
+    if (inFlight.size > 0 && nextTurn === Infinity) {
+      await Promise.race(inFlight);
+    } else {
+      // Every source is busy, with other imports or by its own account, or
+      // one is held back by our download limits until its turn
+      const timeout = new Promise(resolve => setTimeout(resolve, Math.min(nextTurn, ADAPT_INTERVAL)));
+      await Promise.race([...inFlight, timeout]);
+    }
+  }
+
+  if (fatal) {
+    // Stop the requests still running, and let them settle before the caller cleans up
+    const writes = cancelRequests(siteId, fatal);
+    await Promise.allSettled([...writes, ...inFlight]);
+    throw fatal;
+  }
+  return { files, updateSiteId };
+}
+
+/**
+ * Create an error for an import that was paused; unlike a cancel, its
+ * progress is kept
+ */
+function pausedError() {
+  const error = new Error('Import paused');
+  error.name = 'TransferPausedError';
+  return error;
+}
+
+/**
+ * Add an import to the transfer queue. Does nothing if the site already has
+ * a job that isn't finished.
+ * @param {Object} site - Catalog row of the peer's site
+ * @param {Object} options - {priority, updateSiteId}: see JOB_PRIORITIES,
+ *   and our older copy when only changes should be fetched
+ * @returns {Promise<Object>} The job
+ */
+export async function enqueueImport(site, options = {}) {
+  const { priority = 'normal', updateSiteId = null } = options;
+
+  const existing = await getTransferJob(site.id);
+  if (existing && existing.status !== 'done' && existing.status !== 'failed') return existing;
+
+  const job = await saveTransferJob(createJob(site, priority, updateSiteId));
+  console.log(`[Transfer] Queued import of ${site.id}`);
+  notifyJobs();
+  pumpQueue();
+  return job;
+}
+
+/**
+ * Create a job record
+ */
+function createJob(site, priority, updateSiteId) {
+  return {
+    siteId: site.id,
+    peerId: site.owner_id,
+    name: site.name || 'Unnamed Site',
+    updateSiteId,
+    priority,
+    status: 'queued',
+    attempts: 0,
+    retryAt: null,
+    error: null,
+    progress: { completed: 0, total: 0, path: null },
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Get every job in the transfer queue, in the order they run
+ * @returns {Promise<Array>}
+ */
+export async function getTransferJobs() {
+  const jobs = await getAllTransferJobs();
+  return sortJobs(jobs.map(job =>
+    jobProgress.has(job.siteId) ? { ...job, progress: jobProgress.get(job.siteId).progress } : job));
+}
+
+/**
+ * Order jobs by priority, then oldest first
+ */
+function sortJobs(jobs) {
+  const rank = Object.keys(JOB_PRIORITIES);
+  return jobs.sort((a, b) =>
+    rank.indexOf(a.priority) - rank.indexOf(b.priority) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Pause a job. A running import stops but keeps what it has received.
+ * @param {string} siteId
+ */
+export async function pauseJob(siteId) {
+  const job = await getTransferJob(siteId);
+  if (!job || !['queued', 'waiting', 'running'].includes(job.status)) return;
+
+  await updateTransferJob(siteId, { status: 'paused' });
+  runningJobs.get(siteId)?.abort(pausedError());
+  notifyJobs();
+}
+
+/**
+ * Put a paused or failed job back in the queue
+ * @param {string} siteId
+ */
+export async function resumeJob(siteId) {
+  const job = await getTransferJob(siteId);
+  if (!job || (job.status !== 'paused' && job.status !== 'failed')) return;
+
+  await updateTransferJob(siteId, { status: 'queued', attempts: 0, retryAt: null, error: null });
+  notifyJobs();
+  pumpQueue();
+}
+
+/**
+ * Remove a job from the queue. An unfinished import is cancelled and
+ * what it received is thrown away.
+ * @param {string} siteId
+ */
+export async function cancelJob(siteId) {
+  const job = await getTransferJob(siteId);
+  if (!job) return;
+
+  await deleteTransferJob(siteId);
+  const controller = runningJobs.get(siteId);
+  if (controller) {
+    // The import cleans up after itself
+    controller.abort();
+  } else if (job.status !== 'done') {
+    await deleteImportState(siteId);
+    await deleteFilesForSite(siteId);
+  }
+  notifyJobs();
+}
+
+/**
+ * Change a job's priority
+ * @param {string} siteId
+ * @param {string} priority - Key of JOB_PRIORITIES
+ */
+export async function setJobPriority(siteId, priority) {
+  if (!JOB_PRIORITIES[priority]) throw new Error(`Unknown priority: ${priority}`);
+
+  await updateTransferJob(siteId, { priority });
+  notifyJobs();
+  pumpQueue();
+}
+
+/**
+ * Remove finished jobs from the queue
+ */
+export async function clearFinishedJobs() {
+  for (const job of await getAllTransferJobs()) {
+    if (job.status === 'done') await deleteTransferJob(job.siteId);
+  }
+  notifyJobs();
+}
+
+/**
+ * Bring the queue back after a reload: jobs that were running go back in
+ * line, and imports cut off before they had a job get one
+ */
+async function restoreJobs() {
+  const jobs = await getAllTransferJobs();
+  for (const job of jobs) {
+    if (job.status !== 'running') continue;
+    // A job another tab is still running stays as it is
+    await navigator.locks.request(jobLockName(job.siteId), { ifAvailable: true }, lock =>
+      lock && updateTransferJob(job.siteId, { status: 'queued' }));
+  }
+
+  const queued = new Set(jobs.map(job => job.siteId));
+  for (const state of await getAllImportStates()) {
+    if (queued.has(state.siteId)) continue;
+    const site = await getSite(state.siteId);
+    if (site) await saveTransferJob(createJob(site, 'normal', state.updateSiteId || null));
+  }
+
+  notifyJobs();
+  pumpQueue();
+}
+
+/**
+ * Start queued jobs, one pass at a time
+ */
+function pumpQueue() {
+  queueRun = queueRun
+    .then(startJobs)
+    .catch(err => console.error('[Transfer] Transfer queue failed:', err));
+  return queueRun;
+}
+
+/**
+ * Start the queued jobs that can run, highest priority first, while there
+ * are free slots. Jobs no connected peer can serve wait for one to connect.
+ * A job left running by a tab that has since closed is picked up again.
+ */
+async function startJobs() {
+  clearTimeout(retryTimer);
+  const now = Date.now();
+  let nextRetry = Infinity;
+
+  for (const job of await getTransferJobs()) {
+    if (runningJobs.size >= MAX_RUNNING_JOBS) break;
+    if (runningJobs.has(job.siteId) || !['queued', 'waiting', 'running'].includes(job.status)) continue;
+
+    if (job.retryAt > now) {
+      nextRetry = Math.min(nextRetry, job.retryAt);
+      continue;
+    }
+
+    // A job marked running may be another tab's; the lock in runJob decides, so its status stays
+    if (job.status !== 'running') {
+      const sources = await findImportSources(await getJobSite(job));
+      if (sources.length === 0) {
+        if (job.status !== 'waiting') {
+          await updateTransferJob(job.siteId, { status: 'waiting' });
+          notifyJobs();
+        }
+        continue;
+      }
+    }
+
+    runJob(job).catch(err => console.error(`[Transfer] Job for ${job.siteId} failed:`, err));
+  }
+
+  if (nextRetry < Infinity) retryTimer = setTimeout(pumpQueue, nextRetry - now);
+}
+
+/**
+ * Get the catalog row of the site a job imports
+ */
+async function getJobSite(job) {
+  return (await getSite(job.siteId)) || { id: job.siteId, owner_id: job.peerId };
+}
+
+/**
+ * Name of the lock a tab holds while running a job
+ */
+function jobLockName(siteId) {
+  return `import:${siteId}`;
+}
+
+/**
+ * Run a job unless another tab already is. Every open tab runs the queue,
+ * and two tabs on one job would save over each other's chunks and adopt
+ * the site twice.
+ */
+async function runJob(job) {
+  const { siteId } = job;
+  const controller = new AbortController();
+  runningJobs.set(siteId, controller);
+
+  const ran = await navigator.locks.request(jobLockName(siteId), { ifAvailable: true }, async lock => {
+    if (!lock) return false;
+    await runLockedJob(job, controller);
+    return true;
+  });
+  // Whichever tab holds the lock runs the job; this one leaves it alone
+  if (!ran) runningJobs.delete(siteId);
+}
+
+/**
+ * Run a job: fetch its files, then let the import complete callbacks adopt
+ * the site or apply the update before the job counts as done
+ */
+async function runLockedJob(job, controller) {
+  const { siteId } = job;
+
+  try {
+    await updateTransferJob(siteId, { status: 'running', error: null });
+    notifyJobs();
+
+    const onProgress = (completed, total, path) => setJobProgress(siteId, { completed, total, path });
+    const result = await importSiteFromPeer(job.peerId, siteId, onProgress, {
+      updateSiteId: job.updateSiteId,
+      signal: controller.signal
+    });
+
+    for (const callback of importCompleteCallbacks) {
+      await callback(siteId, result);
+    }
+    await updateTransferJob(siteId, { status: 'done', attempts: 0, retryAt: null, error: null });
+    console.log(`[Transfer] Import of ${siteId} done`);
+  } catch (err) {
+    // Paused and cancelled jobs were already updated by whoever stopped them
+    if (err.name !== 'TransferPausedError' && err.name !== 'AbortError') {
+      await failJob(job, err);
+    }
+  } finally {
+    await saveJobProgress(siteId);
+    runningJobs.delete(siteId);
+    notifyJobs();
+    pumpQueue();
+  }
+}
+
+/**
+ * Record a running job's progress. Callbacks hear of it at once; saving
+ * it waits for JOB_PROGRESS_SAVE_INTERVAL.
+ */
+function setJobProgress(siteId, progress) {
+  const entry = jobProgress.get(siteId) || { progress, timer: null };
+  entry.progress = progress;
+  jobProgress.set(siteId, entry);
+
+  if (!entry.timer) {
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      writeJobProgress(siteId, entry.progress);
+    }, JOB_PROGRESS_SAVE_INTERVAL);
+  }
+  jobProgressCallbacks.forEach(cb => cb(siteId, progress));
+}
+
+/**
+ * Save a stopped job's latest progress, and stop tracking it in memory
+ */
+async function saveJobProgress(siteId) {
+  const entry = jobProgress.get(siteId);
+  if (!entry) return;
+  jobProgress.delete(siteId);
+  clearTimeout(entry.timer);
+  await writeJobProgress(siteId, entry.progress);
+}
+
+/**
+ * Write a job's progress to its record. Failures are only logged.
+ */
+function writeJobProgress(siteId, progress) {
+  return updateTransferJob(siteId, { progress })
+    .catch(err => console.warn('[Transfer] Failed to save job progress:', err));
+}
+
+/**
+ * Record a failed attempt: the job waits for a peer if none can serve it,
+ * is retried with backoff, or fails for good after MAX_JOB_ATTEMPTS
+ */
+async function failJob(job, error) {
+  const current = await getTransferJob(job.siteId);
+  if (!current || current.status !== 'running') return;
+
+  const sources = await findImportSources(await getJobSite(job));
+  if (sources.length === 0) {
+    console.warn(`[Transfer] Import of ${job.siteId} waiting for a peer:`, error.message);
+    await updateTransferJob(job.siteId, { status: 'waiting', error: error.message });
+    return;
+  }
+
+  const attempts = current.attempts + 1;
+  if (attempts >= MAX_JOB_ATTEMPTS) {
+    console.error(`[Transfer] Import of ${job.siteId} failed:`, error);
+    await updateTransferJob(job.siteId, { status: 'failed', attempts, retryAt: null, error: error.message });
+    return;
+  }
+
+  const delay = Math.min(JOB_RETRY_DELAY * 2 ** (attempts - 1), JOB_RETRY_MAX_DELAY);
+  console.warn(`[Transfer] Import of ${job.siteId} failed, retrying in ${delay / 1000}s:`, error.message);
+  await updateTransferJob(job.siteId, {
+    status: 'queued',
+    attempts,
+    retryAt: Date.now() + delay,
+    error: error.message
+  });
+}
+
+/**
+ * Subscribe to changes in the transfer queue
+ * @param {function} callback - Called with no arguments; use getTransferJobs
+ */
+export function onJobsChange(callback) {
+  jobCallbacks.push(callback);
+  return () => {
+    jobCallbacks = jobCallbacks.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Subscribe to the progress of running jobs. Only changes to the queue
+ * itself go to onJobsChange.
+ * @param {function} callback - (siteId, progress): {completed, total, path}
+ * @returns {function} Unsubscribe function
+ */
+export function onJobProgress(callback) {
+  jobProgressCallbacks.push(callback);
+  return () => {
+    jobProgressCallbacks = jobProgressCallbacks.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Notify transfer queue callbacks
+ */
+function notifyJobs() {
+  jobCallbacks.forEach(cb => cb());
+}
+
+/**
+ * Get unfinished imports saved from earlier attempts
+ * @returns {Promise<Array>} Import states: {siteId, peerId, files, completed, ...}
+ */
+export function getUnfinishedImports() {
+  return getAllImportStates();
+}
+
+/**
+ * Forget an import once its files have been taken over (or it was abandoned)
+ * @param {string} siteId
+ */
+export function discardImport(siteId) {
+  return deleteImportState(siteId);
+}
+
+/**
+ * Subscribe to import jobs that have fetched all their files.
+ * The callback gets the imported site ID and the import's result
+ * ({files, updateSiteId}), and should adopt the site or apply the update;
+ * the job fails if it throws.
+ */
+export function onImportComplete(callback) {
+  importCompleteCallbacks.push(callback);
+  return () => {
+    importCompleteCallbacks = importCompleteCallbacks.filter(cb => cb !== callback);
+  };
 }
 
 /**